@@ -1,46 +1,322 @@
 /* =========================================================
    builder.js — Create/Save templates with {{placeholders}}
-   - Folder picker + "New Folder" (localStorage via ETCore)
+   - Folder picker + "New Folder" (stored via ETCore)
+   - Comma-separated tags with clickable suggestions from the library
    - Stamp buttons insert at cursor (Subject OR Body)
-   - Save template (name + subject + content + optional folder)
-   - Quick Test area renders with ETCore.render
+   - Body uses the shared ETEditor (token highlighting, {{ autocomplete,
+     hover shows the Quick Test value)
+   - Stamp bar, quick help and Quick Test inputs built from the field registry
+   - Save template (name + subject + content + body format + optional folder)
+   - Edit mode: builder.html?id=<templateId> loads a saved template and saves
+     back to it (updateTemplate); "Save as Copy" forks it. After the first save
+     of a new template the page switches to edit mode, so Ctrl+S updates.
+   - Unsaved-changes guard (beforeunload; also while a save is still being
+     written to storage) + periodic draft autosave with recovery on the next visit
+   - Checks panel (ETCore.lintTemplate) with line:column, click to jump,
+     configurable subject limit and optional save blocking on errors
+   - Quick Test renders subject + body live as you type (template or sample
+     values), highlights each substitution, and shows missing/warning badges
+   - Follows saves from other tabs (ETCore.subscribe): fields, folders, tags
+     and checks refresh; the template being edited reloads when untouched, or a
+     note warns and Save confirms before overwriting the newer version
    - Small UX niceties (Ctrl+S to save, button feedback)
    ========================================================= */
 
-document.addEventListener('DOMContentLoaded', () => {
+document.addEventListener('DOMContentLoaded', async () => {
+  // The library loads asynchronously (IndexedDB); wait before touching it
+  await ETCore.ready;
+
   // ---------- Elements ----------
   const els = {
     name: document.getElementById('templateName'),
     subject: document.getElementById('templateSubject'),
     folder: document.getElementById('folderSelect'),
     newFolderBtn: document.getElementById('newFolderBtn'),
+    tags: document.getElementById('templateTags'),
+    tagSuggestions: document.getElementById('tagSuggestions'),
+    detailsTitle: document.getElementById('detailsTitle'),
+    conflictNote: document.getElementById('conflictNote'),
     resetBtn: document.getElementById('resetBtn'),
     saveBtn: document.getElementById('saveBtn'),
+    saveCopyBtn: document.getElementById('saveCopyBtn'),
     body: document.getElementById('templateBody'),
+    format: document.getElementById('templateFormat'),
     stampBar: document.getElementById('stampBar'),
+    fieldBadges: document.getElementById('fieldBadges'),
+
+    // Checks
+    lintSummary: document.getElementById('lintSummary'),
+    lintList: document.getElementById('lintList'),
+    subjectMaxLength: document.getElementById('subjectMaxLength'),
+    lintBlockSave: document.getElementById('lintBlockSave'),
 
-    // Quick Test inputs
-    test_first_name: document.getElementById('test_first_name'),
-    test_spoke_to: document.getElementById('test_spoke_to'),
-    test_company_name: document.getElementById('test_company_name'),
-    test_competitor: document.getElementById('test_competitor'),
-    test_date_1: document.getElementById('test_date_1'),
-    test_date_2: document.getElementById('test_date_2'),
-    renderTestBtn: document.getElementById('renderTestBtn'),
-    testPreview: document.getElementById('testPreview')
+    // Quick Test
+    testFields: document.getElementById('testFields'),
+    testSubject: document.getElementById('testSubject'),
+    testPreview: document.getElementById('testPreview'),
+    testMissing: document.getElementById('testMissing'),
+    testWarnings: document.getElementById('testWarnings')
   };
 
+  let fields = ETCore.listFields();
+
   // Track the last focused editable so stamps insert there
   let lastTarget = els.body; // default
 
+  // Template being edited (null = creating a new one) and that template as loaded
+  let editingTemplateId = null;
+  let baseTemplate = null;
+
+  // Editor values at the last load/save; anything else is unsaved work
+  let savedSnapshot = editorSnapshot();
+  const AUTOSAVE_MS = 5000;
+  const TAB_ID_KEY = 'emailTemplates.builderTab';
+
+  let lintTimer = null;
+  const LINT_DELAY_MS = 250;
+
   // ---------- Init ----------
+  buildFieldUi();
+  const bodyEditor = ETEditor.attach(els.body, {
+    fields: () => fields,
+    sampleData: () => ETCore.applyFieldDefaults(testData())
+  });
   populateFolderOptions();
   wireFolderActions();
+  wireTags();
   wireFocusTracking();
   wireStampBar();
   wireEditorActions();
   wireQuickTest();
   wireShortcuts();
+  loadTemplateFromUrl();
+  offerDraftRecovery();
+  wireUnsavedProtection();
+  wireLint();
+  refreshTestPreview();
+  ETCore.subscribe(change => { if (change.remote) syncFromOtherTab(); });
+  ETCore.onStorageError(problem => alert(problem.message));
+
+  // ========================================================
+  // Field-driven UI (quick help, stamps, Quick Test inputs)
+  // ========================================================
+  function buildFieldUi() {
+    els.fieldBadges.innerHTML = '';
+    els.testFields.innerHTML = '';
+    els.stampBar.querySelectorAll('button[data-stamp]').forEach(btn => btn.remove());
+    const anchor = els.stampBar.querySelector('.right');
+
+    for (const f of fields) {
+      const badge = document.createElement('div');
+      badge.className = 'badge';
+      badge.textContent = f.key;
+      badge.title = `${f.label} (${f.type})`;
+      els.fieldBadges.appendChild(badge);
+
+      const stamp = document.createElement('button');
+      stamp.className = 'btn btn-outline';
+      stamp.type = 'button';
+      stamp.dataset.stamp = f.key;
+      stamp.textContent = `{{${f.key}}}`;
+      els.stampBar.insertBefore(stamp, anchor);
+
+      const wrap = document.createElement('div');
+      wrap.className = 'field';
+      const label = document.createElement('label');
+      label.className = 'label';
+      label.htmlFor = `test_${f.key}`;
+      label.textContent = f.key;
+      const input = document.createElement('input');
+      input.className = 'input';
+      input.id = `test_${f.key}`;
+      input.type = 'text';
+      input.placeholder = f.placeholder || f.defaultValue || '';
+      input.dataset.testField = f.key;
+      input.setAttribute('autocomplete', 'off');
+      input.setAttribute('autocorrect', 'off');
+      input.setAttribute('autocapitalize', 'none');
+      input.spellcheck = false;
+      wrap.appendChild(label);
+      wrap.appendChild(input);
+      els.testFields.appendChild(wrap);
+    }
+  }
+
+  // Another tab added, renamed or removed fields: rebuild, keeping sample values
+  function syncFieldUi() {
+    const latest = ETCore.listFields();
+    if (JSON.stringify(latest) === JSON.stringify(fields)) return;
+    const values = testData();
+    fields = latest;
+    buildFieldUi();
+    testInputs().forEach(input => { input.value = values[input.dataset.testField] || ''; });
+    bodyEditor.refresh();
+    refreshTestPreview();
+  }
+
+  function testInputs() {
+    return Array.from(els.testFields.querySelectorAll('[data-test-field]'));
+  }
+
+  function testData() {
+    const data = {};
+    testInputs().forEach(input => { data[input.dataset.testField] = input.value || ''; });
+    return data;
+  }
+
+  // ========================================================
+  // Edit mode (builder.html?id=...)
+  // ========================================================
+  function loadTemplateFromUrl() {
+    const id = new URLSearchParams(location.search).get('id');
+    if (!id) return;
+    const t = ETCore.getTemplate(id);
+    if (!t) {
+      alert('That template no longer exists. Starting a new one instead.');
+      setEditingTemplate(null);
+      return;
+    }
+    fillEditor(t);
+  }
+
+  function fillEditor(t) {
+    els.name.value = t.name || '';
+    els.subject.value = t.subject || '';
+    els.body.value = t.content || '';
+    els.format.value = t.format || 'text';
+    els.tags.value = (t.tags || []).join(', ');
+    populateFolderOptions(t.folderId);
+    renderTagSuggestions();
+    bodyEditor.refresh();
+    setEditingTemplate(t);
+    markClean();
+  }
+
+  // Switch between "new" and "edit" mode; keeps the URL in sync so a reload stays put
+  function setEditingTemplate(t) {
+    editingTemplateId = t ? t.id : null;
+    baseTemplate = t || null;
+    showConflict('');
+    els.detailsTitle.textContent = t ? `Editing: ${t.name}` : 'Template Details';
+    document.title = t ? `Email Templates — Edit ${t.name}` : 'Email Templates — Create Template';
+    els.saveBtn.textContent = t ? 'Save Changes' : 'Save Template';
+    els.saveCopyBtn.classList.toggle('hidden', !t);
+    history.replaceState(null, '', t ? `builder.html?id=${encodeURIComponent(t.id)}` : 'builder.html');
+  }
+
+  // ========================================================
+  // Unsaved changes + draft autosave
+  // ========================================================
+  function editorSnapshot() {
+    return {
+      name: els.name.value.trim(),
+      subject: els.subject.value.trim(),
+      content: els.body.value.trim(),
+      format: els.format.value || 'text',
+      folderId: els.folder.value || null,
+      tags: ETCore.parseTags(els.tags.value).join(', ')
+    };
+  }
+
+  function isDirty() {
+    const now = editorSnapshot();
+    return Object.keys(now).some(k => now[k] !== savedSnapshot[k]);
+  }
+
+  function markClean() {
+    savedSnapshot = editorSnapshot();
+  }
+
+  // One draft per template being edited, plus one per tab for a brand-new
+  // template, so two tabs starting templates never overwrite (or clear) each
+  // other's draft. The tab id lives in sessionStorage, so a reload keeps it.
+  function draftSlot() {
+    return editingTemplateId ? `builder:${editingTemplateId}` : `builder:new:${tabId()}`;
+  }
+
+  function tabId() {
+    let id = sessionStorage.getItem(TAB_ID_KEY);
+    if (!id) {
+      id = Date.now().toString(36) + Math.random().toString(36).slice(2, 8);
+      sessionStorage.setItem(TAB_ID_KEY, id);
+    }
+    return id;
+  }
+
+  function autosaveDraft() {
+    if (isDirty()) ETCore.saveDraft(draftSlot(), editorSnapshot());
+    else ETCore.clearDraft(draftSlot());
+  }
+
+  function wireUnsavedProtection() {
+    window.addEventListener('beforeunload', (e) => {
+      // A save that hasn't reached storage yet counts as unsaved too
+      const dirty = isDirty();
+      if (!dirty && !ETCore.hasPendingWrites()) return;
+      if (dirty) autosaveDraft();
+      e.preventDefault();
+      e.returnValue = ''; // legacy browsers need this to show the prompt
+    });
+    setInterval(autosaveDraft, AUTOSAVE_MS);
+  }
+
+  function offerDraftRecovery() {
+    let slot = draftSlot();
+    let draft = ETCore.loadDraft(slot);
+    if (!draft && !editingTemplateId) {
+      // A fresh tab offers the newest new-template draft another tab left behind
+      // (a tab still open rewrites its own within AUTOSAVE_MS, so nothing is lost)
+      const [left] = ETCore.listDrafts('builder:new');
+      if (left) ({ slot, draft } = left);
+    }
+    if (!draft) return;
+    const current = editorSnapshot();
+    const differs = Object.keys(current).some(k => (draft[k] ?? current[k]) !== current[k]);
+    const when = new Date(draft.savedAt).toLocaleString();
+    if (!differs || !confirm(`Recover the unsaved draft from ${when}?\nCancel discards it.`)) {
+      ETCore.clearDraft(slot);
+      return;
+    }
+    els.name.value = draft.name || '';
+    els.subject.value = draft.subject || '';
+    els.body.value = draft.content || '';
+    els.format.value = draft.format || 'text';
+    els.folder.value = draft.folderId || ''; // falls back to "No folder" if it was deleted
+    els.tags.value = draft.tags || '';
+    renderTagSuggestions();
+    bodyEditor.refresh();
+    if (slot !== draftSlot()) {
+      // Adopted: from here on it is this tab's draft
+      ETCore.clearDraft(slot);
+      autosaveDraft();
+    }
+  }
+
+  // ========================================================
+  // Cross-tab sync
+  // ========================================================
+  // Another tab saved. Unsaved work here is never replaced; the note says
+  // what Save will do instead.
+  function syncFromOtherTab() {
+    syncFieldUi();
+    populateFolderOptions(els.folder.value);
+    renderTagSuggestions();
+    scheduleLint(); // duplicate names depend on the other templates
+
+    if (!editingTemplateId) return;
+    const t = ETCore.getTemplate(editingTemplateId);
+    if (!t) {
+      showConflict('Deleted in another tab. Use "Save as Copy" to keep this version.');
+    } else if (t.updatedAt !== baseTemplate.updatedAt) {
+      if (isDirty()) showConflict('Changed in another tab. Saving will ask before overwriting that version.');
+      else fillEditor(t);
+    }
+  }
+
+  function showConflict(message) {
+    els.conflictNote.textContent = message;
+    els.conflictNote.classList.toggle('hidden', !message);
+  }
 
   // ========================================================
   // Folder handling
@@ -48,11 +324,10 @@ document.addEventListener('DOMContentLoaded', () => {
   function populateFolderOptions(selectId = null) {
     // keep first placeholder option
     els.folder.querySelectorAll('option:not([value=""])').forEach(o => o.remove());
-    const folders = ETCore.listFolders();
-    for (const f of folders) {
+    for (const { folder, path } of ETCore.listFolderTree()) {
       const opt = document.createElement('option');
-      opt.value = f.id;
-      opt.textContent = f.name;
+      opt.value = folder.id;
+      opt.textContent = path;
       els.folder.appendChild(opt);
     }
     if (selectId) els.folder.value = selectId;
@@ -68,6 +343,36 @@ document.addEventListener('DOMContentLoaded', () => {
     });
   }
 
+  // ========================================================
+  // Tags
+  // ========================================================
+  function wireTags() {
+    renderTagSuggestions();
+    els.tags.addEventListener('input', renderTagSuggestions);
+    els.tags.addEventListener('change', () => {
+      els.tags.value = ETCore.parseTags(els.tags.value).join(', ');
+    });
+  }
+
+  // Library tags this template doesn't have yet; clicking one appends it
+  function renderTagSuggestions() {
+    const current = ETCore.parseTags(els.tags.value);
+    els.tagSuggestions.innerHTML = '';
+    for (const { name } of ETCore.listTags()) {
+      if (current.some(t => ETCore.sameTag(t, name))) continue;
+      const chip = document.createElement('button');
+      chip.type = 'button';
+      chip.className = 'tag-chip';
+      chip.textContent = `+ ${name}`;
+      chip.title = `Add the "${name}" tag`;
+      chip.addEventListener('click', () => {
+        els.tags.value = ETCore.parseTags([...ETCore.parseTags(els.tags.value), name]).join(', ');
+        renderTagSuggestions();
+      });
+      els.tagSuggestions.appendChild(chip);
+    }
+  }
+
   // ========================================================
   // Focus tracking (so stamps know where to go)
   // ========================================================
@@ -114,6 +419,97 @@ document.addEventListener('DOMContentLoaded', () => {
     if (typeof el.setSelectionRange === 'function') {
       el.setSelectionRange(caret, caret);
     }
+    // Same path as typing: highlighting, lint
+    el.dispatchEvent(new Event('input', { bubbles: true }));
+  }
+
+  // ========================================================
+  // Checks (lint)
+  // ========================================================
+  function wireLint() {
+    const settings = ETCore.lintSettings();
+    els.subjectMaxLength.value = settings.subjectMaxLength;
+    els.lintBlockSave.checked = settings.blockSaveOnErrors;
+
+    els.subjectMaxLength.addEventListener('change', () => {
+      els.subjectMaxLength.value = ETCore.setLintSettings({ subjectMaxLength: els.subjectMaxLength.value }).subjectMaxLength;
+      runLint();
+    });
+    els.lintBlockSave.addEventListener('change', () => {
+      ETCore.setLintSettings({ blockSaveOnErrors: els.lintBlockSave.checked });
+    });
+
+    [els.name, els.subject, els.body].forEach(el => el.addEventListener('input', scheduleLint));
+    [els.folder, els.format].forEach(el => el.addEventListener('change', scheduleLint));
+
+    runLint();
+  }
+
+  function scheduleLint() {
+    clearTimeout(lintTimer);
+    lintTimer = setTimeout(runLint, LINT_DELAY_MS);
+  }
+
+  function currentIssues() {
+    return ETCore.lintTemplate({
+      id: editingTemplateId,
+      name: els.name.value,
+      subject: els.subject.value,
+      content: els.body.value,
+      folderId: els.folder.value || null
+    });
+  }
+
+  // Renders the panel and returns the issues
+  function runLint() {
+    clearTimeout(lintTimer);
+    const issues = currentIssues();
+    const errors = issues.filter(i => i.severity === 'error').length;
+    const warnings = issues.length - errors;
+
+    const parts = [];
+    if (errors) parts.push(`${errors} error${errors === 1 ? '' : 's'}`);
+    if (warnings) parts.push(`${warnings} warning${warnings === 1 ? '' : 's'}`);
+    els.lintSummary.textContent = parts.length ? parts.join(', ') : 'No problems found';
+    els.lintSummary.className = `badge${errors ? ' badge-error' : warnings ? ' badge-warn' : ''}`;
+
+    els.lintList.innerHTML = '';
+    const labels = { name: 'Name', subject: 'Subject', body: 'Body' };
+    for (const issue of issues) {
+      const li = document.createElement('li');
+      li.className = 'lint-item';
+      li.tabIndex = 0;
+
+      const badge = document.createElement('span');
+      badge.className = `badge ${issue.severity === 'error' ? 'badge-error' : 'badge-warn'}`;
+      badge.textContent = issue.severity;
+
+      const where = document.createElement('span');
+      where.className = 'lint-where';
+      where.textContent = `${labels[issue.where]} ${issue.line}:${issue.column}`;
+
+      const msg = document.createElement('span');
+      msg.textContent = issue.message;
+
+      li.appendChild(badge);
+      li.appendChild(where);
+      li.appendChild(msg);
+      li.addEventListener('click', () => revealIssue(issue));
+      li.addEventListener('keydown', (e) => {
+        if (e.key === 'Enter') revealIssue(issue);
+      });
+      els.lintList.appendChild(li);
+    }
+    return issues;
+  }
+
+  // Focus the field and select the offending text
+  function revealIssue(issue) {
+    const el = { name: els.name, subject: els.subject, body: els.body }[issue.where];
+    el.focus();
+    // Name issues are reported against the trimmed name
+    const start = issue.where === 'name' ? el.value.indexOf(el.value.trim()) + issue.index : issue.index;
+    if (typeof el.setSelectionRange === 'function') el.setSelectionRange(start, start + issue.length);
   }
 
   // ========================================================
@@ -121,31 +517,64 @@ document.addEventListener('DOMContentLoaded', () => {
   // ========================================================
   function wireEditorActions() {
     els.resetBtn.addEventListener('click', () => {
-      if (!els.body.value && !els.name.value && !els.subject.value) return;
-      const sure = confirm('Clear template name, subject, and content?');
+      if (!els.body.value && !els.name.value && !els.subject.value && !els.tags.value && !editingTemplateId) return;
+      const sure = confirm(editingTemplateId
+        ? 'Stop editing and start a new template? Unsaved changes are lost; the saved template is kept.'
+        : 'Clear template name, subject, and content?');
       if (!sure) return;
+      ETCore.clearDraft(draftSlot());
+      setEditingTemplate(null);
 
       els.name.value = '';
       els.subject.value = '';
       els.body.value = '';
+      els.format.value = 'text';
       els.folder.value = '';
+      els.tags.value = '';
+      renderTagSuggestions();
+      bodyEditor.refresh();
 
       // Clear Quick Test too
-      ['test_first_name','test_spoke_to','test_company_name','test_competitor','test_date_1','test_date_2']
-        .forEach(id => els[id].value = '');
-      setTestPreview('');
+      testInputs().forEach(input => { input.value = ''; });
+      refreshTestPreview();
+      markClean();
+      runLint();
     });
 
     els.saveBtn.addEventListener('click', () => {
       saveTemplate();
     });
+
+    els.saveCopyBtn.addEventListener('click', () => {
+      saveTemplate({ asCopy: true });
+    });
   }
 
-  function saveTemplate() {
+  // updateTemplate, refusing to overwrite a version the user hasn't seen: on a
+  // conflict, ask; OK overwrites exactly the version just named. Returns
+  // updateTemplate's result, or null when the user cancels.
+  function updateWithConfirm(id, patch) {
+    let expected = baseTemplate;
+    for (;;) {
+      try {
+        return ETCore.updateTemplate(id, patch, { expected });
+      } catch (err) {
+        if (!(err instanceof ETCore.StoreConflictError)) throw err;
+        const sure = confirm(`"${err.actual.name}" was changed in another tab after you opened it. Overwrite those changes with yours?\n(Cancel, then "Save as Copy" to keep both.)`);
+        if (!sure) return null;
+        expected = err.actual;
+      }
+    }
+  }
+
+  // Updates the template being edited, or creates a new one (always for asCopy)
+  function saveTemplate({ asCopy = false } = {}) {
     const name = (els.name.value || '').trim();
     const subject = (els.subject.value || '').trim();
     const content = (els.body.value || '').trim();
+    const format = els.format.value || 'text';
     const folderId = els.folder.value || null;
+    const tags = ETCore.parseTags(els.tags.value);
 
     if (!content) {
       alert('Please write some template content.');
@@ -158,8 +587,37 @@ document.addEventListener('DOMContentLoaded', () => {
       return;
     }
 
-    ETCore.createTemplate({ name, subject, content, folderId });
-    feedback(els.saveBtn, 'Saved!');
+    const errors = runLint().filter(i => i.severity === 'error');
+    if (errors.length && els.lintBlockSave.checked) {
+      alert(`Fix ${errors.length} error${errors.length === 1 ? '' : 's'} listed under Checks before saving.`);
+      revealIssue(errors[0]);
+      return;
+    }
+
+    if (editingTemplateId && !asCopy) {
+      const saved = updateWithConfirm(editingTemplateId, { name, subject, content, format, folderId, tags });
+      if (saved === null) return;
+      if (!saved) {
+        alert('This template was deleted elsewhere. Use "Save as Copy" to keep your work.');
+        return;
+      }
+      ETCore.clearDraft(draftSlot());
+      setEditingTemplate(ETCore.getTemplate(editingTemplateId));
+      markClean();
+      feedback(els.saveBtn, 'Saved!');
+      return;
+    }
+
+    const original = asCopy ? ETCore.getTemplate(editingTemplateId) : null;
+    const copyName = original && name === original.name ? `${name} (copy)` : name;
+    const t = ETCore.createTemplate({ name: copyName, subject, content, format, folderId, tags });
+    els.name.value = t.name;
+    els.tags.value = (t.tags || []).join(', ');
+    renderTagSuggestions();
+    ETCore.clearDraft(draftSlot()); // the edits now live in the new template
+    setEditingTemplate(t);
+    markClean();
+    feedback(asCopy ? els.saveCopyBtn : els.saveBtn, asCopy ? 'Copied!' : 'Saved!');
   }
 
   // Small button feedback helper
@@ -177,28 +635,49 @@ document.addEventListener('DOMContentLoaded', () => {
   // Quick Test
   // ========================================================
   function wireQuickTest() {
-    els.renderTestBtn.addEventListener('click', () => {
-      const data = {
-        first_name: els.test_first_name.value || '',
-        spoke_to: els.test_spoke_to.value || '',
-        company_name: els.test_company_name.value || '',
-        competitor: els.test_competitor.value || '',
-        date_1: els.test_date_1.value || '',
-        date_2: els.test_date_2.value || ''
-      };
-      const templateStr = els.body.value || '';
-      const output = ETCore.render(templateStr, data);
-      setTestPreview(output);
-    });
+    // Live: edits to the template or to any sample value re-render (the sample
+    // inputs are rebuilt when fields change, so they are listened to as a group)
+    [els.subject, els.body, els.testFields].forEach(el => el.addEventListener('input', refreshTestPreview));
+    els.format.addEventListener('change', refreshTestPreview);
+  }
+
+  function refreshTestPreview() {
+    // Blank sample values fall back to each field's default value
+    const data = ETCore.applyFieldDefaults(testData());
+    const subjectStr = els.subject.value || '';
+    const bodyStr = els.body.value || '';
+    const format = els.format.value || 'text';
+
+    const warnings = [];
+    const onWarning = w => warnings.push(w.message);
+    setTestSubject(subjectStr.trim() ? ETCore.renderPreview(subjectStr, data, { onWarning }) : '');
+    setTestPreview(bodyStr.trim() ? ETCore.renderPreview(bodyStr, data, { format, onWarning }) : '', format !== 'text');
+    setTestWarnings(warnings);
+
+    const missing = ETCore.missingFields(`${subjectStr}\n${bodyStr}`, data);
+    els.testMissing.textContent = `Missing fields: ${missing.length}`;
+    els.testMissing.title = missing.length ? `Missing: ${missing.join(', ')}` : 'All placeholders filled';
+  }
+
+  function setTestWarnings(warnings) {
+    const unique = Array.from(new Set(warnings));
+    els.testWarnings.textContent = unique.join(' • ');
+    els.testWarnings.classList.toggle('hidden', unique.length === 0);
+  }
+
+  // html comes from ETCore.renderPreview (escaped / sanitised); '' resets
+  function setTestSubject(html) {
+    els.testSubject.innerHTML = html;
   }
 
-  function setTestPreview(text) {
-    if (!text || !text.trim()) {
-      els.testPreview.textContent = '';
+  function setTestPreview(html, rich = false) {
+    els.testPreview.classList.remove('rich', 'pre');
+    if (!html) {
       els.testPreview.innerHTML = '<div class="empty">Your rendered template will appear here.</div>';
       return;
     }
-    els.testPreview.textContent = text; // keep as plain text
+    els.testPreview.innerHTML = html;
+    els.testPreview.classList.add(rich ? 'rich' : 'pre');
   }
 
   // ========================================================
@@ -1,25 +1,67 @@
 /* =========================================================
    core.js — Shared utilities for Email Templates app
-   - localStorage CRUD (folders + templates)
-   - simple templating with {{placeholders}} (+ optional |longdate / |shortdate)
-   - copy-to-clipboard helper
+   - CRUD for nested folders + templates + placeholder fields, stored in
+     IndexedDB (per-record writes; moved over from localStorage on first run)
+     or localStorage as a fallback; quota errors reported via ETCore.onStorageError
+   - schema versioning: ordered migrations + repair of malformed records on
+     load, keeping a copy of the library from before the upgrade
+   - store revision counter (stale writes are refused, not merged) and change
+     events, including edits made in other tabs (ETCore.subscribe)
+   - bounded revision history per template (+ line diff)
+   - trash bin for deleted templates/folders (restore, auto-purge)
+   - simple templating with {{placeholders}}, chainable filters
+     (|trim|capitalize, |longdate, |relative, |date:"ddd D MMM", |default:"…",
+     plus ETCore.registerFilter for custom ones) and {{#if key}}…{{/if}} blocks
+   - Markdown / HTML bodies (renderBody) with sanitising
+   - copy-to-clipboard (plain or text+HTML) + file download helpers
+   - mailto: links and .eml (RFC 5322) drafts
+   - CSV parse/write + zip writer for bulk mail merge
+   - ranked full-text template search with snippets
+   - template lint (malformed braces, unknown keys/filters, date filters on
+     non-date fields, duplicate names, subject length)
+   - saved contacts (recipient profiles) + CSV / vCard contact import
+   - bounded usage log (copy / send actions) + per-template usage stats
+   - template sorting (name / updated / created / usage) and pinned favourites
+   - template tags (cross-folder labels): AND / OR filtering, rename / merge / delete
+   - library export / import (versioned JSON backup)
+   - autosaved editor drafts (separate localStorage keys)
    - first-run sample template seeding
-   - lightweight API exposed at window.ETCore
+   - lightweight API exposed at window.ETCore (and as a CommonJS module for
+     the Node tests in test/)
    ========================================================= */
 
 (() => {
+  // The page's window in browsers; the global object under Node (tests), where
+  // a localStorage stand-in must be installed on globalThis before loading
+  const root = typeof window !== 'undefined' ? window : globalThis;
+
   const STORAGE_KEY = 'emailTemplates.v1';
 
-  // Canonical placeholder keys used by inputs across pages
-  const PLACEHOLDER_KEYS = [
-    'first_name',
-    'spoke_to',
-    'company_name',
-    'competitor',
-    'date_1',
-    'date_2'
+  // Built-in placeholder fields, seeded into the field registry on first run.
+  // After that the registry in the store is the source of truth for every page.
+  const DEFAULT_FIELDS = [
+    { key: 'first_name',   label: 'First name',   type: 'text', defaultValue: '', placeholder: 'e.g., Terry' },
+    { key: 'spoke_to',     label: 'Spoke to',     type: 'text', defaultValue: '', placeholder: 'e.g., Emerald' },
+    { key: 'company_name', label: 'Company name', type: 'text', defaultValue: '', placeholder: 'e.g., ABC Industries' },
+    { key: 'competitor',   label: 'Competitor',   type: 'text', defaultValue: '', placeholder: 'e.g., XYZ Company' },
+    { key: 'date_1',       label: 'Date 1',       type: 'date', defaultValue: '', placeholder: 'Date Text', help: 'Choose any relevant date (e.g., meeting date)' },
+    { key: 'date_2',       label: 'Date 2',       type: 'date', defaultValue: '', placeholder: 'Date Text', help: 'Optional follow-up/alt date' }
   ];
 
+  // Kept for backwards compatibility: the built-in keys only
+  const PLACEHOLDER_KEYS = DEFAULT_FIELDS.map(f => f.key);
+
+  const FIELD_TYPES = ['text', 'date', 'url', 'number'];
+
+  // Revisions kept per template (oldest dropped first); IndexedDB has room for more
+  const MAX_REVISIONS = 20;
+  const MAX_REVISIONS_INDEXEDDB = 100;
+
+  // Template body formats: plain text, Markdown, or raw HTML
+  const BODY_FORMATS = ['text', 'markdown', 'html'];
+  const TEMPLATE_SORTS = ['name', 'updated', 'created', 'most-used', 'least-used'];
+  const FIELD_KEY_RE = /^[a-z0-9_]+$/;
+
   // -------------------------------
   // Helpers
   // -------------------------------
@@ -33,27 +75,652 @@
     catch { return fallback; }
   }
 
+  // -------------------------------
+  // Schema migrations
+  // -------------------------------
+  // Every store records its schema `version`. When a store is loaded, the
+  // migrations above that version run in order, then repairStore fixes
+  // malformed records. If either changed anything, the untouched original is
+  // kept as a backup (ETCore.getMigrationBackup) and ETCore.ready reports what
+  // was done. When the stored shape changes, append a migration; never edit
+  // one that has shipped.
+  const MIGRATIONS = [
+    {
+      version: 2,
+      description: 'Nested folders, field registry, contacts, usage log, trash and revision counter',
+      migrate(store) {
+        if (!Array.isArray(store.folders)) store.folders = [];
+        for (const f of store.folders) if (f && f.parentId === undefined) f.parentId = null;
+        if (!Array.isArray(store.templates)) store.templates = [];
+        if (!Array.isArray(store.fields)) store.fields = defaultFields();
+        if (!Array.isArray(store.contacts)) store.contacts = [];
+        if (!Array.isArray(store.usage)) store.usage = [];
+        if (!Array.isArray(store.trash)) store.trash = [];
+        if (typeof store.revision !== 'number') store.revision = 0;
+        if (!store.settings) store.settings = {};
+      }
+    }
+  ];
+  const STORE_VERSION = MIGRATIONS[MIGRATIONS.length - 1].version;
+
+  // Bring a store up to STORE_VERSION and repair it, in place. Stores written
+  // by a newer version keep their version (nothing is downgraded).
+  // Returns { fromVersion, toVersion, migrations, repairs, changed }.
+  function upgradeStore(store) {
+    const fromVersion = Number.isInteger(store.version) && store.version > 0 ? store.version : 1;
+    store.version = fromVersion;
+    const migrations = [];
+    for (const m of MIGRATIONS) {
+      if (m.version <= store.version) continue;
+      m.migrate(store);
+      store.version = m.version;
+      migrations.push(`v${m.version}: ${m.description}`);
+    }
+    const repairs = repairStore(store);
+    return {
+      fromVersion,
+      toVersion: store.version,
+      migrations,
+      repairs,
+      changed: migrations.length > 0 || repairs.length > 0
+    };
+  }
+
+  const RECORD_LABELS = { folders: 'Folder', templates: 'Template', fields: 'Field', contacts: 'Contact', usage: 'History entry', trash: 'Trash entry' };
+
+  const isRecord = value => !!value && typeof value === 'object' && !Array.isArray(value);
+
+  function recordLabel(name, record) {
+    const title = record.name || record.email || record.key || record.templateName;
+    return title ? `${RECORD_LABELS[name]} "${title}"` : RECORD_LABELS[name];
+  }
+
+  // Fix records the rest of the code can't cope with; returns one message per repair
+  function repairStore(store) {
+    const repairs = [];
+
+    if (typeof store.revision !== 'number') store.revision = 0;
+    if (!isRecord(store.settings)) {
+      store.settings = {};
+      repairs.push('Settings were unreadable and were reset.');
+    }
+
+    // Collections must be lists of objects, each with a unique id (fields: key)
+    for (const [name, key] of Object.entries(COLLECTIONS)) {
+      if (!Array.isArray(store[name])) {
+        store[name] = name === 'fields' ? defaultFields() : [];
+        repairs.push(`The ${RECORD_LABELS[name].toLowerCase()} list was unreadable and was reset.`);
+      }
+      const records = store[name].filter(isRecord);
+      if (records.length < store[name].length) {
+        repairs.push(`Removed ${store[name].length - records.length} unreadable ${RECORD_LABELS[name].toLowerCase()} record(s).`);
+      }
+      store[name] = records;
+      if (key !== 'id') continue;
+      const seen = new Set();
+      for (const record of records) {
+        if (typeof record.id !== 'string' || !record.id) {
+          record.id = uid();
+          repairs.push(`${recordLabel(name, record)} had no id; gave it one.`);
+        } else if (seen.has(record.id)) {
+          record.id = uid();
+          repairs.push(`${recordLabel(name, record)} shared its id with another record; gave it a new one.`);
+        }
+        seen.add(record.id);
+      }
+    }
+
+    // Fields: valid, unique keys
+    const fieldKeys = new Set();
+    store.fields = store.fields.filter(f => {
+      const key = typeof f.key === 'string' ? f.key.trim() : '';
+      if (!FIELD_KEY_RE.test(key) || fieldKeys.has(key)) {
+        repairs.push(`${recordLabel('fields', f)} had an invalid or duplicate key and was removed.`);
+        return false;
+      }
+      fieldKeys.add(key);
+      return true;
+    }).map(f => normalizeField(f));
+
+    // Folders: text names, parents that exist, no cycles
+    const folderIds = new Set(store.folders.map(f => f.id));
+    for (const f of store.folders) {
+      if (typeof f.name !== 'string' || !f.name.trim()) {
+        f.name = f.name !== undefined && f.name !== null && String(f.name).trim() ? String(f.name).trim() : 'Untitled folder';
+        repairs.push(`A folder had no usable name; renamed it "${f.name}".`);
+      }
+      if (f.parentId === undefined) f.parentId = null;
+      if (f.parentId !== null && (!folderIds.has(f.parentId) || f.parentId === f.id)) {
+        f.parentId = null;
+        repairs.push(`${recordLabel('folders', f)} pointed at a missing parent; moved it to the top level.`);
+      }
+    }
+    const parentOf = new Map(store.folders.map(f => [f.id, f.parentId]));
+    for (const f of store.folders) {
+      const seen = new Set([f.id]);
+      for (let p = f.parentId; p !== null; p = parentOf.get(p)) {
+        if (seen.has(p)) {
+          f.parentId = null;
+          parentOf.set(f.id, null);
+          repairs.push(`${recordLabel('folders', f)} was nested inside itself; moved it to the top level.`);
+          break;
+        }
+        seen.add(p);
+      }
+    }
+
+    // Templates: text fields, a known format, folders that exist
+    for (const t of store.templates) {
+      if (typeof t.name !== 'string' || !t.name.trim()) {
+        t.name = t.name !== undefined && t.name !== null && String(t.name).trim() ? String(t.name).trim() : 'Untitled template';
+        repairs.push(`A template had no usable name; renamed it "${t.name}".`);
+      }
+      for (const key of ['subject', 'content']) {
+        if (t[key] === undefined || typeof t[key] === 'string') continue;
+        t[key] = t[key] === null ? '' : String(t[key]);
+        repairs.push(`${recordLabel('templates', t)}: the ${key === 'content' ? 'body' : 'subject'} was not text; converted it.`);
+      }
+      if (t.content === undefined) t.content = '';
+      if (t.format !== undefined && !BODY_FORMATS.includes(t.format)) {
+        delete t.format;
+        repairs.push(`${recordLabel('templates', t)} had an unknown body format; set it to plain text.`);
+      }
+      if (t.folderId === undefined) t.folderId = null;
+      if (t.folderId !== null && !folderIds.has(t.folderId)) {
+        t.folderId = null;
+        repairs.push(`${recordLabel('templates', t)} was in a folder that no longer exists; moved it to No folder.`);
+      }
+      if (t.tags !== undefined && !(Array.isArray(t.tags) && t.tags.every(tag => typeof tag === 'string'))) {
+        const tags = parseTags(Array.isArray(t.tags) ? t.tags.map(String) : String(t.tags ?? ''));
+        if (tags.length) t.tags = tags;
+        else delete t.tags;
+        repairs.push(`${recordLabel('templates', t)} had unreadable tags; cleaned them up.`);
+      }
+      if (t.revisions !== undefined && !Array.isArray(t.revisions)) {
+        delete t.revisions;
+        repairs.push(`${recordLabel('templates', t)} had unreadable revision history; cleared it.`);
+      }
+      if (!t.createdAt) t.createdAt = t.updatedAt || nowISO();
+      if (!t.updatedAt) t.updatedAt = t.createdAt;
+    }
+
+    // Trash entries must still hold what they restore
+    const trash = store.trash.filter(e =>
+      (e.kind === 'template' && isRecord(e.template)) ||
+      (e.kind === 'folder' && isRecord(e.folder) && Array.isArray(e.templates)));
+    if (trash.length < store.trash.length) {
+      repairs.push(`Removed ${store.trash.length - trash.length} damaged trash entr${store.trash.length - trash.length === 1 ? 'y' : 'ies'}.`);
+      store.trash = trash;
+    }
+
+    return repairs;
+  }
+
+  // -------------------------------
+  // Storage
+  // -------------------------------
+  // The library is held in memory: getStore hands out a copy, saveStore swaps
+  // in the new version and persists it through a backend —
+  //   - IndexedDB (default): one record per folder / template / field / contact /
+  //     usage entry / trash entry, written in the background (changed records only)
+  //   - localStorage (when IndexedDB is unavailable): the whole store as one
+  //     JSON string under STORAGE_KEY, written synchronously
+  // IndexedDB loads asynchronously, so pages wait for ETCore.ready first.
+  // Failed writes (storage full, another tab saved first) never throw at the
+  // caller; they are reported to ETCore.onStorageError listeners instead.
+  const COLLECTIONS = { folders: 'id', templates: 'id', fields: 'key', contacts: 'id', usage: 'id', trash: 'id' };
+  const REVISION_KEY = STORAGE_KEY + '.revision';
+  const BACKUP_KEY = STORAGE_KEY + '.backup';
+  const IDB_NAME = 'emailTemplates';
+  const IDB_VERSION = 1;
+  // Browsers give localStorage about 5 MB per site (UTF-16, so 2 bytes a char)
+  const LOCAL_STORAGE_QUOTA = 5 * 1024 * 1024;
+
+  const clone = typeof structuredClone === 'function'
+    ? value => structuredClone(value)
+    : value => JSON.parse(JSON.stringify(value));
+
+  function emptyStore() {
+    return { version: STORE_VERSION, revision: 0, folders: [], templates: [], fields: defaultFields(), contacts: [], usage: [], trash: [], settings: {} };
+  }
+
+  // For edit forms: refuse to overwrite a record that changed after the form
+  // loaded `expected` (no check without it)
+  function assertUnchanged(record, expected, label) {
+    if (!expected || JSON.stringify(record) === JSON.stringify(expected)) return;
+    throw new StoreConflictError(expected, { ...record }, `${label} was changed elsewhere after you opened it.`);
+  }
+
+  function defaultFields() {
+    return DEFAULT_FIELDS.map(f => ({ ...f }));
+  }
+
+  // Thrown by saveStore when the library changed since `next` was read
+  // (another tab saved in between). Re-read with getStore and try again.
+  // Also thrown by updateField / updateContact when given the record a form
+  // loaded (`expected`) and the stored one has changed since; then
+  // expected / actual are those two records rather than revisions.
+  class StoreConflictError extends Error {
+    constructor(expected, actual, message = `The library changed elsewhere (revision ${actual}, expected ${expected}). Reload and try again.`) {
+      super(message);
+      this.name = 'StoreConflictError';
+      this.expected = expected;
+      this.actual = actual;
+    }
+  }
+
+  // QuotaExceededError is spelled differently across browsers
+  function isQuotaError(err) {
+    return !!err && (err.name === 'QuotaExceededError' || err.name === 'NS_ERROR_DOM_QUOTA_REACHED' ||
+      err.code === 22 || err.code === 1014);
+  }
+
+  // ---- localStorage backend
+  // The revision also lives under its own small key so staleness checks
+  // don't have to parse the whole library.
+  const localBackend = {
+    name: 'localStorage',
+    persistedRevision: 0,
+    // The text under STORAGE_KEY when it isn't a library (corrupt JSON, not an
+    // object), so it can be backed up before anything replaces it
+    unreadable: null,
+    // Set when that text could not be backed up: writes are refused so the
+    // only copy is never overwritten
+    locked: false,
+
+    load() {
+      const raw = localStorage.getItem(STORAGE_KEY);
+      const parsed = safeParse(raw, null);
+      const store = isRecord(parsed) ? parsed : null;
+      this.unreadable = raw !== null && !store ? raw : null;
+      this.persistedRevision = store && typeof store.revision === 'number' ? store.revision : 0;
+      if (store && localStorage.getItem(REVISION_KEY) !== String(this.persistedRevision)) {
+        try { localStorage.setItem(REVISION_KEY, String(this.persistedRevision)); }
+        catch { /* stale() will just re-read the library */ }
+      }
+      return store;
+    },
+
+    // Another tab saved since we last read or wrote
+    stale() {
+      return Number(localStorage.getItem(REVISION_KEY)) !== this.persistedRevision;
+    },
+
+    write(store) {
+      if (this.locked) throw new Error('the saved library could not be read or copied, so it is left untouched for recovery.');
+      if (this.stale()) throw new StoreConflictError(this.persistedRevision, Number(localStorage.getItem(REVISION_KEY)));
+      localStorage.setItem(STORAGE_KEY, JSON.stringify(store));
+      this.persistedRevision = store.revision;
+      try { localStorage.setItem(REVISION_KEY, String(store.revision)); }
+      catch { /* saved; stale() will just re-read the library */ }
+    },
+
+    saveBackup(backup) {
+      localStorage.setItem(BACKUP_KEY, JSON.stringify(backup));
+    },
+
+    loadBackup() {
+      return safeParse(localStorage.getItem(BACKUP_KEY), null);
+    },
+
+    discardBackup() {
+      localStorage.removeItem(BACKUP_KEY);
+    },
+
+    estimate() {
+      const raw = localStorage.getItem(STORAGE_KEY) || '';
+      return Promise.resolve({ usage: raw.length * 2, quota: LOCAL_STORAGE_QUOTA, approximate: true });
+    }
+  };
+
+  // ---- IndexedDB backend
+  // Object stores: `meta` (version, revision, settings and the record order of
+  // each collection, plus the migration backup) and one store per collection
+  // keyed like COLLECTIONS.
+  function indexedDbBackend(idb) {
+    const names = ['meta', ...Object.keys(COLLECTIONS)];
+    let opening = null;
+    let persistedRevision = 0;
+
+    const result = req => new Promise((resolve, reject) => {
+      req.onsuccess = () => resolve(req.result);
+      req.onerror = () => reject(req.error);
+    });
+
+    const done = tx => new Promise((resolve, reject) => {
+      tx.oncomplete = () => resolve();
+      tx.onabort = () => reject(tx.error || new Error('The IndexedDB write was aborted.'));
+    });
+
+    function open() {
+      if (!opening) {
+        const req = idb.open(IDB_NAME, IDB_VERSION);
+        req.onupgradeneeded = () => {
+          const db = req.result;
+          if (!db.objectStoreNames.contains('meta')) db.createObjectStore('meta');
+          for (const [name, keyPath] of Object.entries(COLLECTIONS)) {
+            if (!db.objectStoreNames.contains(name)) db.createObjectStore(name, { keyPath });
+          }
+        };
+        opening = result(req);
+      }
+      return opening;
+    }
+
+    // Records come back sorted by key; meta.order restores the saved order
+    function inOrder(records, order, key) {
+      if (!Array.isArray(order)) return records;
+      const byKey = new Map(records.map(r => [r[key], r]));
+      const sorted = order.filter(k => byKey.has(k)).map(k => byKey.get(k));
+      const listed = new Set(order);
+      return sorted.concat(records.filter(r => !listed.has(r[key])));
+    }
+
+    async function load() {
+      const db = await open();
+      const tx = db.transaction(names, 'readonly');
+      const [meta, ...lists] = await Promise.all([
+        result(tx.objectStore('meta').get('store')),
+        ...Object.keys(COLLECTIONS).map(name => result(tx.objectStore(name).getAll()))
+      ]);
+      if (!meta) return null;
+      const store = { version: meta.version, revision: meta.revision, settings: meta.settings || {} };
+      Object.entries(COLLECTIONS).forEach(([name, key], i) => {
+        store[name] = inOrder(lists[i], meta.order && meta.order[name], key);
+      });
+      persistedRevision = meta.revision;
+      return store;
+    }
+
+    // One transaction: refuse if another tab saved since we last read or
+    // wrote, else apply `changes` (or rewrite everything when it is null)
+    async function write(store, changes) {
+      const db = await open();
+      const tx = db.transaction(names, 'readwrite');
+      let conflict = null;
+      const finished = new Promise((resolve, reject) => {
+        tx.oncomplete = () => resolve();
+        tx.onabort = () => reject(conflict || tx.error || new Error('The IndexedDB write was aborted.'));
+      });
+      const meta = tx.objectStore('meta');
+      const check = meta.get('store');
+      check.onsuccess = () => {
+        const onDisk = check.result ? check.result.revision : 0;
+        if (onDisk !== persistedRevision) {
+          conflict = new StoreConflictError(persistedRevision, onDisk);
+          tx.abort();
+          return;
+        }
+        for (const name of Object.keys(COLLECTIONS)) {
+          const records = tx.objectStore(name);
+          if (!changes) {
+            records.clear();
+            for (const record of store[name]) records.put(record);
+            continue;
+          }
+          for (const record of changes.put[name]) records.put(record);
+          for (const key of changes.remove[name]) records.delete(key);
+        }
+        meta.put(metaOf(store), 'store');
+      };
+      await finished;
+      persistedRevision = store.revision;
+    }
+
+    function metaOf(store) {
+      const order = {};
+      for (const [name, key] of Object.entries(COLLECTIONS)) order[name] = store[name].map(r => r[key]);
+      return { version: store.version, revision: store.revision, settings: store.settings, order };
+    }
+
+    async function estimate() {
+      const storage = typeof navigator !== 'undefined' ? navigator.storage : null;
+      if (!storage || typeof storage.estimate !== 'function') return { usage: null, quota: null, approximate: true };
+      const { usage = null, quota = null } = await storage.estimate();
+      return { usage, quota, approximate: true };
+    }
+
+    async function saveBackup(backup) {
+      const tx = (await open()).transaction('meta', 'readwrite');
+      tx.objectStore('meta').put(backup, 'backup');
+      await done(tx);
+    }
+
+    async function loadBackup() {
+      const tx = (await open()).transaction('meta', 'readonly');
+      return (await result(tx.objectStore('meta').get('backup'))) || null;
+    }
+
+    async function discardBackup() {
+      const tx = (await open()).transaction('meta', 'readwrite');
+      tx.objectStore('meta').delete('backup');
+      await done(tx);
+    }
+
+    return { name: 'IndexedDB', load, write, saveBackup, loadBackup, discardBackup, estimate };
+  }
+
+  // ---- In-memory library + write queue
+  let backend = null;
+  let cache = null;
+  // The last saved library (queued writes included): collection -> Map(key -> JSON),
+  // for per-record diffs
+  let persisted = {};
+  let writeQueue = Promise.resolve();
+  // The next write replaces every record (after a failed write, on upgrade)
+  let rewriteAll = false;
+  // Writes queued but not yet committed (or failed)
+  let pendingWrites = 0;
+  let loaded = false;
+  // Bumped whenever the cache is replaced from disk; queued writes from
+  // before that point are dropped rather than mixed into the newer library
+  let generation = 0;
+  let channel = null;
+
+  function setCache(store) {
+    upgradeStore(store);
+    cache = store;
+    persisted = {};
+    if (!usingIndexedDb()) return;
+    for (const [name, key] of Object.entries(COLLECTIONS)) {
+      persisted[name] = new Map(cache[name].map(r => [r[key], JSON.stringify(r)]));
+    }
+  }
+
+  // The cached library itself, for readers inside ETCore: never modify it,
+  // and copy only what you hand out (the usage log and revision history can
+  // run to megabytes). Read-modify-save paths use getStore().
+  function readStore() {
+    if (!loaded) throw new Error('The library is still loading; wait for ETCore.ready.');
+    if (backend.stale && backend.stale()) setCache(backend.load() || emptyStore());
+    return cache;
+  }
+
+  // A private copy of the whole library, to change and pass to saveStore
   function getStore() {
-    const raw = localStorage.getItem(STORAGE_KEY);
-    const store = safeParse(raw, null);
-    if (!store) {
-      const initial = { version: 1, folders: [], templates: [], settings: {} };
-      localStorage.setItem(STORAGE_KEY, JSON.stringify(initial));
-      return initial;
+    return clone(readStore());
+  }
+
+  // Records added, changed or removed since the last save
+  function diffStore(store) {
+    const changes = { put: {}, remove: {} };
+    for (const [name, key] of Object.entries(COLLECTIONS)) {
+      const before = persisted[name] || new Map();
+      const after = new Map();
+      changes.put[name] = [];
+      for (const record of store[name]) {
+        const json = JSON.stringify(record);
+        after.set(record[key], json);
+        if (before.get(record[key]) !== json) changes.put[name].push(record);
+      }
+      changes.remove[name] = Array.from(before.keys()).filter(k => !after.has(k));
+      persisted[name] = after;
     }
-    // Minimal migration example (reserved for future versions)
-    if (!store.version) store.version = 1;
-    if (!store.folders) store.folders = [];
-    if (!store.templates) store.templates = [];
-    if (!store.settings) store.settings = {};
-    return store;
+    return changes;
   }
 
+  // Every save bumps store.revision; a store read at an older revision is
+  // refused instead of silently overwriting the newer one.
   function saveStore(next) {
-    localStorage.setItem(STORAGE_KEY, JSON.stringify(next));
+    if (!loaded) throw new Error('The library is still loading; wait for ETCore.ready.');
+    const base = typeof next.revision === 'number' ? next.revision : 0;
+    if (backend.stale && backend.stale()) setCache(backend.load() || emptyStore());
+    if (base !== cache.revision) throw new StoreConflictError(base, cache.revision);
+    const store = clone(next);
+    upgradeStore(store);
+    store.revision = base + 1;
+
+    if (backend === localBackend) {
+      try { localBackend.write(store); }
+      catch (err) {
+        if (err instanceof StoreConflictError) throw err;
+        // Keep the change in this tab; the next save tries again
+        reportStorageError(err);
+      }
+      setCache(store);
+    } else {
+      const changes = diffStore(store);
+      cache = store;
+      queueWrite(store, changes);
+    }
+
+    next.revision = store.revision;
+    notifyChange({ remote: false, revision: store.revision });
     return next;
   }
 
+  function queueWrite(store, changes) {
+    const queuedAt = generation;
+    pendingWrites++;
+    writeQueue = writeQueue.then(async () => {
+      if (queuedAt !== generation) {
+        reportStorageError(new StoreConflictError(store.revision - 1, cache.revision));
+        return;
+      }
+      // After a failed write the backend is missing records that later diffs
+      // assume are there, so the next write (queued or not) rewrites everything
+      const full = rewriteAll;
+      rewriteAll = false;
+      try {
+        await backend.write(store, full ? null : changes);
+        announce(store.revision);
+      } catch (err) {
+        if (err instanceof StoreConflictError) {
+          // Another tab won: show its library and drop ours
+          await reloadFromBackend();
+        } else {
+          rewriteAll = true;
+        }
+        reportStorageError(err);
+      }
+    }).finally(() => { pendingWrites--; });
+  }
+
+  // Resolves once every queued write has finished (or failed)
+  function flush() {
+    return writeQueue;
+  }
+
+  // True while a save is still on its way to IndexedDB; pages warn before
+  // unloading then, since closing the tab can drop it
+  function hasPendingWrites() {
+    return pendingWrites > 0;
+  }
+
+  async function reloadFromBackend() {
+    const store = await backend.load();
+    generation++;
+    setCache(store || emptyStore());
+    rewriteAll = !store;
+    notifyChange({ remote: true, revision: cache.revision });
+  }
+
+  // ---- Storage errors
+  // listener({ error, quota, conflict, message }) runs when a save could not
+  // be written. Returns an unsubscribe.
+  const errorListeners = new Set();
+
+  function onStorageError(listener) {
+    errorListeners.add(listener);
+    return () => errorListeners.delete(listener);
+  }
+
+  function reportStorageError(error) {
+    const quota = isQuotaError(error);
+    const conflict = error instanceof StoreConflictError;
+    const message = quota
+      ? 'Browser storage is full, so your latest change is only kept in this tab. Empty the Trash, clear the History or download a backup, then try again.'
+      : conflict
+        ? 'Another tab saved the library first, so your latest change was not stored. The page now shows the current library.'
+        : `Your latest change could not be saved: ${error && error.message ? error.message : error}`;
+    const problem = { error, quota, conflict, message };
+    if (!errorListeners.size) console.error(message, error);
+    for (const listener of Array.from(errorListeners)) {
+      try { listener(problem); }
+      catch (err) { console.error(err); }
+    }
+  }
+
+  // { backend: 'IndexedDB' | 'localStorage', usage, quota, approximate } in bytes;
+  // usage / quota are null when the browser won't say
+  async function storageInfo() {
+    await ready;
+    const { usage, quota, approximate } = await backend.estimate();
+    return { backend: backend.name, usage, quota, approximate };
+  }
+
+  function usingIndexedDb() {
+    return !!backend && backend !== localBackend;
+  }
+
+  // -------------------------------
+  // Change events
+  // -------------------------------
+  // listener({ remote, revision }) runs after every save; `remote` is true when
+  // another tab wrote the library (via the `storage` event or, with IndexedDB,
+  // a BroadcastChannel message). Returns an unsubscribe.
+  const changeListeners = new Set();
+
+  function subscribe(listener) {
+    changeListeners.add(listener);
+    return () => changeListeners.delete(listener);
+  }
+
+  function notifyChange(change) {
+    for (const listener of Array.from(changeListeners)) {
+      try { listener(change); }
+      catch (err) { console.error(err); }
+    }
+  }
+
+  function currentRevision() {
+    return readStore().revision;
+  }
+
+  // IndexedDB has no cross-tab event of its own: tabs announce new revisions
+  function announce(revision) {
+    if (channel) channel.postMessage({ revision });
+  }
+
+  function listenForOtherTabs() {
+    if (typeof BroadcastChannel !== 'function') return;
+    channel = new BroadcastChannel(STORAGE_KEY);
+    channel.onmessage = (e) => {
+      if (!e.data || e.data.revision === cache.revision) return;
+      writeQueue = writeQueue.then(reloadFromBackend).catch(err => console.error(err));
+    };
+  }
+
+  // key === null means another tab cleared localStorage altogether
+  if (typeof root.addEventListener === 'function') {
+    root.addEventListener('storage', (e) => {
+      if (backend !== localBackend) return;
+      if (e.key !== STORAGE_KEY && e.key !== null) return;
+      setCache(localBackend.load() || emptyStore());
+      notifyChange({ remote: true, revision: cache.revision });
+    });
+  }
+
     // Seed a friendly sample template ONLY on first install.
 // After that, never re-add it (even if the user deletes all templates).
 function ensureSampleTemplate() {
@@ -68,12 +735,13 @@ function ensureSampleTemplate() {
       subject: 'Quick follow-up with {{company_name}}', // NEW
       // Supported placeholders: {{first_name}}, {{spoke_to}}, {{company_name}}, {{competitor}}, {{date_1}}, {{date_2}}
       // Optional filters: |longdate, |shortdate  e.g., {{date_1|longdate}}
+      // Fallbacks and optional text: {{first_name|default:"there"}}, {{#if competitor}}…{{/if}}
       content:
-`Hi {{first_name}},
+`Hi {{first_name|default:"there"}},
 
 Nice speaking with {{spoke_to}} at {{company_name}}.
 
-As mentioned, compared to {{competitor}}, we can streamline your process and reduce admin. 
+As mentioned, {{#if competitor}}compared to {{competitor}}, {{/if}}we can streamline your process and reduce admin. 
 Are you free on {{date_1|longdate}} or {{date_2|shortdate}} to chat?
 
 Thanks,
@@ -90,215 +758,2484 @@ Thanks,
 }
 
 
-  // Date formatting
-  function formatDate(input, style = 'long') {
-    // Accept "YYYY-MM-DD" (from <input type="date">) or any Date-parsable string.
+  // Date parsing — "YYYY-MM-DD" (from <input type="date">) or any Date-parsable string.
+  // Bare numbers are rejected so number fields are never read as years.
+  function parseDate(input) {
+    if (input === undefined || input === null) return null;
+    const str = String(input).trim();
+    if (!str || /^\d+$/.test(str)) return null;
+    const hasDash = /^\d{4}-\d{2}-\d{2}$/.test(str);
+    const d = hasDash ? new Date(str + 'T12:00:00') : new Date(str);
+    if (Number.isNaN(d.getTime())) return null;
+    // Date rolls "2026-02-30" over into March; treat it as invalid instead
+    if (hasDash && d.getDate() !== Number(str.slice(8, 10))) return null;
+    return d;
+  }
+
+  // Date formatting (in the browser’s locale unless one is given)
+  function formatDate(input, style = 'long', locale = undefined) {
     if (!input) return '';
-    const hasDash = /^\d{4}-\d{2}-\d{2}$/.test(input);
-    const d = hasDash ? new Date(input + 'T12:00:00') : new Date(input);
-    if (Number.isNaN(d.getTime())) return input;
+    const d = parseDate(input);
+    if (!d) return input;
 
     const formatters = {
-      long: new Intl.DateTimeFormat(undefined, { year: 'numeric', month: 'long', day: 'numeric' }),
-      short: new Intl.DateTimeFormat(undefined, { year: '2-digit', month: 'short', day: 'numeric' })
+      long: new Intl.DateTimeFormat(locale, { year: 'numeric', month: 'long', day: 'numeric' }),
+      short: new Intl.DateTimeFormat(locale, { year: '2-digit', month: 'short', day: 'numeric' })
     };
     return style === 'short' ? formatters.short.format(d) : formatters.long.format(d);
   }
 
-  // Core render — replace {{token}} with data[key]
-  // Supports filters: |longdate, |shortdate for date-looking values
-  function render(template, data) {
-    if (!template || typeof template !== 'string') return '';
-    const re = /{{\s*([a-z0-9_]+)(?:\|([a-z]+))?\s*}}/gi;
-    return template.replace(re, (_, key, filter) => {
-      const raw = (data && key in data) ? data[key] : '';
-      if (!raw) return '';
-      if (key.startsWith('date_')) {
-        if (filter === 'shortdate') return formatDate(raw, 'short');
-        if (filter === 'longdate') return formatDate(raw, 'long');
-        // No filter -> return as-is (usually YYYY-MM-DD from date input)
-        return raw;
-      }
-      return String(raw);
-    });
+  // Custom date patterns for |date:"…" — YYYY YY MMMM MMM MM M dddd ddd DD D,
+  // text inside [brackets] is copied as-is
+  function formatDatePattern(input, pattern) {
+    const d = parseDate(input);
+    if (!d) return String(input);
+    const part = (opts) => new Intl.DateTimeFormat(undefined, opts).format(d);
+    const pad = n => String(n).padStart(2, '0');
+    const tokens = {
+      YYYY: () => String(d.getFullYear()),
+      YY: () => String(d.getFullYear()).slice(-2),
+      MMMM: () => part({ month: 'long' }),
+      MMM: () => part({ month: 'short' }),
+      MM: () => pad(d.getMonth() + 1),
+      M: () => String(d.getMonth() + 1),
+      dddd: () => part({ weekday: 'long' }),
+      ddd: () => part({ weekday: 'short' }),
+      DD: () => pad(d.getDate()),
+      D: () => String(d.getDate())
+    };
+    return String(pattern).replace(/\[([^\]]*)\]|YYYY|YY|MMMM|MMM|MM|M|dddd|ddd|DD|D/g,
+      (tok, literal) => (literal !== undefined ? literal : tokens[tok]()));
   }
 
-  // Scan a template for placeholders and count which ones are empty in the provided data
-  function missingFields(template, data) {
-    if (!template) return [];
-    const re = /{{\s*([a-z0-9_]+)(?:\|[a-z]+)?\s*}}/gi;
-    const found = new Set();
+  // Day-level phrase relative to today: "today", "tomorrow", "this Friday",
+  // "next Tuesday", "last Monday", otherwise "in 3 weeks" / "2 months ago"
+  function relativeDate(input, now = new Date()) {
+    const d = parseDate(input);
+    if (!d) return String(input);
+    const DAY = 24 * 60 * 60 * 1000;
+    const midnight = x => new Date(x.getFullYear(), x.getMonth(), x.getDate());
+    const diff = Math.round((midnight(d) - midnight(now)) / DAY);
+    const weekday = new Intl.DateTimeFormat(undefined, { weekday: 'long' }).format(d);
+
+    if (diff === 0) return 'today';
+    if (diff === 1) return 'tomorrow';
+    if (diff === -1) return 'yesterday';
+
+    // Weeks start on Monday
+    const weekStart = x => { const m = midnight(x); m.setDate(m.getDate() - ((m.getDay() + 6) % 7)); return m; };
+    const weeksApart = Math.round((weekStart(d) - weekStart(now)) / (7 * DAY));
+    if (weeksApart === 0) return diff > 0 ? `this ${weekday}` : `last ${weekday}`;
+    if (weeksApart === 1) return `next ${weekday}`;
+    if (weeksApart === -1) return `last ${weekday}`;
+
+    const rtf = new Intl.RelativeTimeFormat(undefined, { numeric: 'auto' });
+    if (Math.abs(diff) < 30) return rtf.format(Math.round(diff / 7), 'week');
+    if (Math.abs(diff) < 365) return rtf.format(Math.round(diff / 30), 'month');
+    return rtf.format(Math.round(diff / 365), 'year');
+  }
+
+  // -------------------------------
+  // Template engine
+  // -------------------------------
+  // Syntax:
+  //   {{key}}                          value of data[key]
+  //   {{key|filter|filter:"arg"}}      value piped through filters, left to right
+  //   {{#if key}}…{{else}}…{{/if}}     block kept only when data[key] is non-blank
+  // Filters come from the registry below (see registerFilter).
+  const TAG_RE = /{{\s*(#if\s+[a-z0-9_]+|else|\/if|[a-z0-9_]+(?:\s*\|\s*[a-z]+(?::(?:"[^"]*"|'[^']*'))?)*)\s*}}/gi;
+  const FILTER_RE = /\|\s*([a-z]+)(?::(?:"([^"]*)"|'([^']*)'))?/gi;
+
+  const isBlank = v => v === undefined || v === null || String(v).trim() === '';
+
+  // Filter registry: name -> { fn(value, arg, ctx), allowBlank }
+  // Filters only run on non-blank values unless registered with allowBlank.
+  const FILTERS = new Map();
+
+  function registerFilter(name, fn, { allowBlank = false, description = '' } = {}) {
+    const key = String(name || '').toLowerCase();
+    if (!/^[a-z]+$/.test(key)) throw new Error(`Invalid filter name "${name}" (letters only).`);
+    if (typeof fn !== 'function') throw new Error(`Filter "${key}" needs a function.`);
+    FILTERS.set(key, { fn, allowBlank, description });
+  }
+
+  function listFilters() {
+    return Array.from(FILTERS, ([name, f]) => ({ name, description: f.description }));
+  }
+
+  const capitalize = v => v.charAt(0).toUpperCase() + v.slice(1);
+
+  registerFilter('default', (v, arg) => (isBlank(v) ? (arg ?? '') : v), { allowBlank: true, description: 'Fallback text when the value is blank' });
+  registerFilter('trim', v => v.trim(), { description: 'Strip surrounding whitespace' });
+  registerFilter('upper', v => v.toUpperCase(), { description: 'UPPER CASE' });
+  registerFilter('lower', v => v.toLowerCase(), { description: 'lower case' });
+  registerFilter('capitalize', v => capitalize(v), { description: 'Capitalize the first letter' });
+  registerFilter('title', v => v.replace(/\S+/g, w => capitalize(w.toLowerCase())), { description: 'Capitalize Each Word' });
+  registerFilter('longdate', v => formatDate(v, 'long'), { description: 'October 20, 2026' });
+  registerFilter('shortdate', v => formatDate(v, 'short'), { description: 'Oct 20, 26' });
+  registerFilter('weekday', v => formatDatePattern(v, 'dddd'), { description: 'Tuesday' });
+  registerFilter('relative', v => relativeDate(v), { description: 'tomorrow, next Tuesday, …' });
+  registerFilter('date', (v, arg) => formatDatePattern(v, arg || 'YYYY-MM-DD'), { description: 'Custom pattern, e.g. date:"ddd D MMM"' });
+
+  // Parse a template into a tree of text / var / if nodes.
+  // Stray {{else}} or {{/if}} tags are kept as literal text; an unclosed
+  // {{#if}} runs to the end of the template.
+  function parseTemplate(template) {
+    const root = { children: [] };
+    const stack = [];
+    let branch = root.children;
+    let last = 0;
     let m;
-    while ((m = re.exec(template)) !== null) {
-      found.add(m[1]);
+    TAG_RE.lastIndex = 0;
+    while ((m = TAG_RE.exec(template)) !== null) {
+      if (m.index > last) branch.push({ type: 'text', value: template.slice(last, m.index) });
+      last = TAG_RE.lastIndex;
+
+      const tag = parseTag(m[1]);
+      const open = stack[stack.length - 1];
+      if (tag.type === 'if') {
+        const node = { type: 'if', key: tag.key, then: [], else: [], inElse: false };
+        branch.push(node);
+        stack.push(node);
+        branch = node.then;
+      } else if (tag.type === 'else') {
+        if (open && !open.inElse) {
+          open.inElse = true;
+          branch = open.else;
+        } else {
+          branch.push({ type: 'text', value: m[0] });
+        }
+      } else if (tag.type === 'endif') {
+        if (open) {
+          stack.pop();
+          const parent = stack[stack.length - 1];
+          branch = parent ? (parent.inElse ? parent.else : parent.then) : root.children;
+        } else {
+          branch.push({ type: 'text', value: m[0] });
+        }
+      } else {
+        branch.push({ type: 'var', key: tag.key, filters: tag.filters });
+      }
     }
-    const missing = [];
-    for (const key of found) {
-      const val = data?.[key];
-      if (val === undefined || val === null || String(val).trim() === '') missing.push(key);
+    if (last < template.length) branch.push({ type: 'text', value: template.slice(last) });
+    return root.children;
+  }
+
+  // Every recognised tag in a template with its position, for editors:
+  // [{ index, length, type: 'if' | 'else' | 'endif' | 'var', key?, filters? }]
+  function scanTags(template) {
+    const out = [];
+    if (!template || typeof template !== 'string') return out;
+    TAG_RE.lastIndex = 0;
+    for (let m; (m = TAG_RE.exec(template)) !== null;) {
+      out.push({ index: m.index, length: m[0].length, ...parseTag(m[1]) });
     }
-    return missing;
+    return out;
   }
 
-  async function copyToClipboard(text) {
-    try {
-      if (navigator.clipboard && window.isSecureContext) {
-        await navigator.clipboard.writeText(text);
-        return true;
+  // The inside of one TAG_RE match -> { type: 'if' | 'else' | 'endif' | 'var', key?, filters? }
+  function parseTag(body) {
+    const lower = body.toLowerCase();
+    if (lower.startsWith('#if')) return { type: 'if', key: body.slice(3).trim() };
+    if (lower === 'else') return { type: 'else' };
+    if (lower === '/if') return { type: 'endif' };
+
+    const pipe = body.indexOf('|');
+    const key = (pipe === -1 ? body : body.slice(0, pipe)).trim();
+    const filters = [];
+    if (pipe !== -1) {
+      let f;
+      FILTER_RE.lastIndex = 0;
+      const chain = body.slice(pipe);
+      while ((f = FILTER_RE.exec(chain)) !== null) {
+        const arg = f[2] !== undefined ? f[2] : f[3];
+        filters.push({ name: f[1].toLowerCase(), arg });
       }
-      // Fallback for non-secure contexts
-      const ta = document.createElement('textarea');
-      ta.value = text;
-      ta.style.position = 'fixed';
-      ta.style.left = '-9999px';
-      document.body.appendChild(ta);
-      ta.focus();
-      ta.select();
-      const ok = document.execCommand('copy');
-      document.body.removeChild(ta);
-      return ok;
-    } catch {
-      return false;
     }
+    return { type: 'var', key, filters };
   }
 
-  // -------------------------------
-  // Folders API
-  // -------------------------------
-  function listFolders() {
-    return getStore().folders.slice();
+  // Run a value through its filter chain. Unknown filters leave the value
+  // unchanged and report { code: 'unknown-filter', key, filter, message } via onWarning.
+  function applyFilters(key, raw, filters, ctx = {}) {
+    let value = isBlank(raw) ? '' : String(raw);
+    for (const { name, arg } of filters) {
+      const filter = FILTERS.get(name);
+      if (!filter) {
+        ctx.onWarning?.({ code: 'unknown-filter', key, filter: name, message: `Unknown filter "|${name}" on {{${key}}}` });
+        continue;
+      }
+      if (!filter.allowBlank && isBlank(value)) continue;
+      value = String(filter.fn(value, arg, { key, data: ctx.data }) ?? '');
+    }
+    return value;
   }
 
-  function createFolder(name) {
-    const store = getStore();
-    const folder = { id: uid(), name: String(name || 'New Folder').trim() || 'New Folder', createdAt: nowISO() };
-    store.folders.push(folder);
-    saveStore(store);
-    return folder;
+  // Walk the tree, calling visit(node) for every var node on the branches
+  // that `data` would actually render
+  function walkActive(nodes, data, visit) {
+    for (const node of nodes) {
+      if (node.type === 'var') visit(node);
+      else if (node.type === 'if') walkActive(isBlank(data?.[node.key]) ? node.else : node.then, data, visit);
+    }
   }
 
-  function renameFolder(id, newName) {
-    const store = getStore();
-    const f = store.folders.find(x => x.id === id);
-    if (!f) return false;
-    f.name = String(newName || '').trim() || f.name;
-    saveStore(store);
-    return true;
+  // Private-use characters bracketing substituted values for previews
+  // (see renderPreview); they never appear in normal output
+  const MARK_FILLED = '\uE000';
+  const MARK_EMPTY = '\uE001';
+  const MARK_END = '\uE002';
+  const MARK_RE = /[\uE000-\uE002]/g;
+
+  // Blank values are marked with their {{key}} so the gap is visible
+  function markSubstitution(key, value) {
+    return isBlank(value)
+      ? `${MARK_EMPTY}{{${key}}}${MARK_END}`
+      : `${MARK_FILLED}${value.replace(MARK_RE, '')}${MARK_END}`;
   }
 
-  // mode:
-  // - 'keep' (default): do not delete templates, just set their folderId = null
-  // - 'deleteTemplates': remove all templates within the folder
-  function deleteFolder(id, mode = 'keep') {
-    const store = getStore();
-    const idx = store.folders.findIndex(x => x.id === id);
-    if (idx === -1) return false;
+  // Core render — replace {{token}} with data[key], resolving filters and #if blocks
+  // options.onWarning(warning) is called for problems such as unknown filters;
+  // options.escape(value) is applied to substituted values (e.g. escapeHtml);
+  // options.markSubstitutions brackets each value with MARK_* characters
+  function render(template, data, options = {}) {
+    if (!template || typeof template !== 'string') return '';
+    const ctx = { data, onWarning: options.onWarning };
+    const escape = options.escape || (v => v);
+    const out = [];
+    const emit = (nodes) => {
+      for (const node of nodes) {
+        if (node.type === 'text') out.push(node.value);
+        else if (node.type === 'var') {
+          const value = escape(applyFilters(node.key, data?.[node.key], node.filters, ctx));
+          out.push(options.markSubstitutions ? markSubstitution(node.key, value) : value);
+        }
+        else emit(isBlank(data?.[node.key]) ? node.else : node.then);
+      }
+    };
+    emit(parseTemplate(template));
+    return out.join('');
+  }
 
-    if (mode === 'deleteTemplates') {
-      store.templates = store.templates.filter(t => t.folderId !== id);
-    } else {
-      for (const t of store.templates) {
-        if (t.folderId === id) t.folderId = null;
+  // Unique placeholder keys used by a template (including #if conditions and
+  // both branches), in order of first appearance
+  function placeholderKeys(template) {
+    if (!template || typeof template !== 'string') return [];
+    const found = new Set();
+    const collect = (nodes) => {
+      for (const node of nodes) {
+        if (node.type === 'var') found.add(node.key);
+        else if (node.type === 'if') {
+          found.add(node.key);
+          collect(node.then);
+          collect(node.else);
+        }
       }
-    }
-    store.folders.splice(idx, 1);
-    saveStore(store);
-    return true;
+    };
+    collect(parseTemplate(template));
+    return Array.from(found);
   }
 
-  function moveTemplatesToFolder(templateIds, folderId) {
-    const store = getStore();
-    for (const t of store.templates) {
-      if (templateIds.includes(t.id)) t.folderId = folderId || null;
-    }
-    saveStore(store);
-    return true;
+  // Static check for filters that are not registered: [{ key, filter, message }]
+  function unknownFilters(template) {
+    if (!template || typeof template !== 'string') return [];
+    const out = [];
+    const scan = (nodes) => {
+      for (const node of nodes) {
+        if (node.type === 'var') {
+          for (const f of node.filters) {
+            if (!FILTERS.has(f.name)) out.push({ key: node.key, filter: f.name, message: `Unknown filter "|${f.name}" on {{${node.key}}}` });
+          }
+        } else if (node.type === 'if') {
+          scan(node.then);
+          scan(node.else);
+        }
+      }
+    };
+    scan(parseTemplate(template));
+    return out;
+  }
+
+  // Scan a template for placeholders and count which ones are empty in the provided data.
+  // Placeholders with a |default filter, #if conditions, and anything inside a
+  // branch that will not render are not counted as missing.
+  function missingFields(template, data) {
+    if (!template || typeof template !== 'string') return [];
+    const missing = new Set();
+    walkActive(parseTemplate(template), data, (node) => {
+      if (node.filters.some(f => f.name === 'default')) return;
+      if (isBlank(data?.[node.key])) missing.add(node.key);
+    });
+    return Array.from(missing);
   }
 
   // -------------------------------
-  // Templates API
+  // Rich bodies (Markdown / HTML)
   // -------------------------------
-  function listTemplates(filter = {}) {
-    const { folderId = undefined } = filter;
-    const all = getStore().templates.slice().sort((a, b) => a.name.localeCompare(b.name));
-    if (folderId === undefined) return all;
-    return all.filter(t => (folderId === null ? t.folderId === null : t.folderId === folderId));
+  const escapeHtml = (str) => String(str)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+
+  const SAFE_URL_RE = /^(https?:|mailto:|tel:|#|\/)/i;
+  const isSafeUrl = url => SAFE_URL_RE.test(url.replace(MARK_RE, '').trim());
+
+  // Inline Markdown: `code`, **bold**, *italic* / _italic_, [text](url)
+  function markdownInline(text) {
+    return escapeHtml(text)
+      .replace(/`([^`]+)`/g, '<code>$1</code>')
+      .replace(/\*\*([^*]+)\*\*/g, '<strong>$1</strong>')
+      .replace(/(^|[^*])\*([^*\s][^*]*)\*/g, '$1<em>$2</em>')
+      .replace(/(^|\W)_([^_\s][^_]*)_(?=\W|$)/g, '$1<em>$2</em>')
+      .replace(/\[([^\]]+)\]\(([^)\s]+)\)/g, (m, label, url) =>
+        (isSafeUrl(url) ? `<a href="${url}">${label}</a>` : label));
   }
 
-  function getTemplate(id) {
-    return getStore().templates.find(t => t.id === id) || null;
+  // Small Markdown subset for email bodies: paragraphs, line breaks, # headings,
+  // - / * bullet lists, 1. numbered lists, plus the inline syntax above
+  function markdownToHtml(md) {
+    const blocks = String(md || '').replace(/\r\n?/g, '\n').split(/\n{2,}/);
+    const kindOf = l => (/^\s*[-*]\s+/.test(l) ? 'ul' : /^\s*\d+[.)]\s+/.test(l) ? 'ol' : 'p');
+    const html = [];
+    for (const block of blocks) {
+      const lines = block.split('\n').filter(l => l.trim() !== '');
+      if (!lines.length) continue;
+
+      const heading = lines.length === 1 && /^(#{1,3})\s+(.*)$/.exec(lines[0]);
+      if (heading) {
+        const level = heading[1].length;
+        html.push(`<h${level}>${markdownInline(heading[2])}</h${level}>`);
+        continue;
+      }
+
+      // Consecutive lines of the same kind form one paragraph or list
+      let run = [];
+      const flush = () => {
+        if (!run.length) return;
+        const kind = kindOf(run[0]);
+        if (kind === 'p') {
+          html.push(`<p>${run.map(markdownInline).join('<br>')}</p>`);
+        } else {
+          const items = run.map(l => `<li>${markdownInline(l.replace(/^\s*(?:[-*]|\d+[.)])\s+/, ''))}</li>`);
+          html.push(`<${kind}>${items.join('')}</${kind}>`);
+        }
+        run = [];
+      };
+      for (const line of lines) {
+        if (run.length && kindOf(run[0]) !== kindOf(line)) flush();
+        run.push(line);
+      }
+      flush();
+    }
+    return html.join('\n');
   }
 
-  function createTemplate({ name, subject = '', content, folderId = null }) {
-  const store = getStore();
-  const t = {
+  // Email-safe HTML allowlist. Anything else is dropped: unknown HTML elements
+  // are unwrapped (their text stays), elements in DROP_WITH_CONTENT and any
+  // SVG / MathML go with everything inside them, and only SAFE_ATTRS survive,
+  // URL-bearing ones only with a safe URL.
+  const SAFE_TAGS = new Set([
+    'a', 'abbr', 'b', 'big', 'blockquote', 'br', 'caption', 'center', 'cite', 'code', 'col', 'colgroup',
+    'dd', 'del', 'div', 'dl', 'dt', 'em', 'font', 'h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'hr', 'i', 'img',
+    'ins', 'kbd', 'li', 'mark', 'ol', 'p', 'pre', 'q', 's', 'samp', 'small', 'span', 'strike', 'strong',
+    'sub', 'sup', 'table', 'tbody', 'td', 'tfoot', 'th', 'thead', 'tr', 'u', 'ul'
+  ]);
+  const DROP_WITH_CONTENT = new Set([
+    'script', 'style', 'template', 'noscript', 'iframe', 'frame', 'frameset', 'object', 'embed', 'applet',
+    'head', 'title', 'textarea', 'select', 'option', 'button'
+  ]);
+  const SAFE_ATTRS = new Set([
+    'href', 'src', 'cite', 'alt', 'title', 'dir', 'lang', 'align', 'valign', 'width', 'height', 'border',
+    'cellpadding', 'cellspacing', 'colspan', 'rowspan', 'bgcolor', 'color', 'face', 'size', 'start'
+  ]);
+  const URL_ATTRS = new Set(['href', 'src', 'cite']);
+  const HTML_NS = 'http://www.w3.org/1999/xhtml';
+
+  function sanitizeChildren(parent) {
+    for (const node of Array.from(parent.childNodes)) {
+      if (node.nodeType === 3) continue; // text
+      if (node.nodeType !== 1 || node.namespaceURI !== HTML_NS || DROP_WITH_CONTENT.has(node.localName)) {
+        node.remove();
+        continue;
+      }
+      sanitizeChildren(node);
+      if (!SAFE_TAGS.has(node.localName)) {
+        node.replaceWith(...Array.from(node.childNodes));
+        continue;
+      }
+      for (const attr of Array.from(node.attributes)) {
+        const name = attr.name.toLowerCase();
+        if (!SAFE_ATTRS.has(name) || (URL_ATTRS.has(name) && !isSafeUrl(attr.value))) {
+          node.removeAttribute(attr.name);
+        }
+      }
+    }
+  }
+
+  // Reduce user HTML to the allowlist above.
+  // Needs DOMParser; without it the markup is escaped and shown as text.
+  function sanitizeHtml(html) {
+    if (typeof DOMParser === 'undefined') return escapeHtml(html);
+    const doc = new DOMParser().parseFromString(`<body>${html}</body>`, 'text/html');
+    sanitizeChildren(doc.body);
+    return doc.body.innerHTML;
+  }
+
+  const ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', '#39': "'", nbsp: ' ' };
+
+  // Plain-text version of an HTML body (for text/plain clipboard and mail parts)
+  function htmlToText(html) {
+    return String(html || '')
+      .replace(/\r?\n/g, ' ')
+      .replace(/<br\s*\/?>/gi, '\n')
+      .replace(/<li[^>]*>/gi, '\n- ')
+      .replace(/<a\s[^>]*href="([^"]*)"[^>]*>(.*?)<\/a>/gi, (m, href, label) =>
+        (label.replace(/<[^>]+>/g, '') === href ? href : `${label} (${href})`))
+      .replace(/<\/(p|div|h[1-6]|ul|ol|blockquote)>/gi, '\n\n')
+      .replace(/<[^>]+>/g, '')
+      .replace(/&(amp|lt|gt|quot|#39|nbsp);/g, (m, name) => ENTITIES[name])
+      .replace(/[ \t]*\n[ \t]*/g, '\n')
+      .replace(/\n{3,}/g, '\n\n')
+      .trim();
+  }
+
+  // Render a template body in its format.
+  // Returns { text, html } — html is null for plain-text templates.
+  function renderBody(template, data, options = {}) {
+    const format = options.format || 'text';
+    if (format === 'markdown') {
+      const html = markdownToHtml(render(template, data, options));
+      return { text: htmlToText(html), html };
+    }
+    if (format === 'html') {
+      // Values are escaped so "<" in an input cannot inject markup
+      const html = sanitizeHtml(render(template, data, { ...options, escape: escapeHtml }));
+      return { text: htmlToText(html), html };
+    }
+    return { text: render(template, data, options), html: null };
+  }
+
+  // Preview HTML for a subject or body in any format, with each substituted
+  // value wrapped in <mark class="sub"> and each blank one shown as
+  // <mark class="sub sub-empty">{{key}}</mark>. Options as for renderBody.
+  function renderPreview(template, data, options = {}) {
+    const opts = { ...options, markSubstitutions: true };
+    const format = options.format || 'text';
+    if (format === 'text') return marksToHtml(escapeHtml(render(template, data, opts)));
+
+    let html = renderBody(template, data, opts).html;
+    if (typeof DOMParser !== 'undefined') {
+      // Markers inside attributes (e.g. href="{{url}}") are just dropped
+      const doc = new DOMParser().parseFromString(`<body>${html}</body>`, 'text/html');
+      for (const el of doc.body.querySelectorAll('*')) {
+        for (const attr of Array.from(el.attributes)) {
+          const clean = attr.value.replace(MARK_RE, '');
+          if (clean !== attr.value) el.setAttribute(attr.name, clean);
+        }
+      }
+      html = doc.body.innerHTML;
+    }
+    return marksToHtml(html);
+  }
+
+  function marksToHtml(html) {
+    const tags = { [MARK_FILLED]: '<mark class="sub">', [MARK_EMPTY]: '<mark class="sub sub-empty">', [MARK_END]: '</mark>' };
+    return html.replace(MARK_RE, m => tags[m]);
+  }
+
+  // Copy plain text, or text + HTML when `options.html` is given so mail
+  // clients keep the formatting. Falls back to a copy-event handler (works
+  // outside secure contexts) and finally to a hidden textarea.
+  async function copyToClipboard(text, options = {}) {
+    const { html = null } = options;
+    // A rejected clipboard API call (no permission, unfocused page, unsupported
+    // type) falls through to the next way of copying rather than failing
+    if (html && navigator.clipboard && window.isSecureContext && typeof ClipboardItem !== 'undefined') {
+      try {
+        await navigator.clipboard.write([
+          new ClipboardItem({
+            'text/html': new Blob([html], { type: 'text/html' }),
+            'text/plain': new Blob([text], { type: 'text/plain' })
+          })
+        ]);
+        return true;
+      } catch { /* try the next way */ }
+    }
+    try {
+      if (html) {
+        const onCopy = (e) => {
+          e.clipboardData.setData('text/html', html);
+          e.clipboardData.setData('text/plain', text);
+          e.preventDefault();
+        };
+        document.addEventListener('copy', onCopy);
+        const ok = document.execCommand('copy');
+        document.removeEventListener('copy', onCopy);
+        if (ok) return true;
+      }
+      if (navigator.clipboard && window.isSecureContext) {
+        try {
+          await navigator.clipboard.writeText(text);
+          return true;
+        } catch { /* try the next way */ }
+      }
+      // Fallback for non-secure contexts and refused clipboard calls
+      const ta = document.createElement('textarea');
+      ta.value = text;
+      ta.style.position = 'fixed';
+      ta.style.left = '-9999px';
+      document.body.appendChild(ta);
+      ta.focus();
+      ta.select();
+      const ok = document.execCommand('copy');
+      document.body.removeChild(ta);
+      return ok;
+    } catch {
+      return false;
+    }
+  }
+
+  // Trigger a browser download of in-memory text (e.g. a JSON backup) or bytes (e.g. a zip)
+  function downloadFile(filename, content, mime = 'text/plain') {
+    const type = typeof content === 'string' ? `${mime};charset=utf-8` : mime;
+    const blob = new Blob([content], { type });
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = filename;
+    document.body.appendChild(a);
+    a.click();
+    document.body.removeChild(a);
+    setTimeout(() => URL.revokeObjectURL(url), 0);
+  }
+
+  // Today as YYYY-MM-DD, for download file names
+  function dateStamp() {
+    return new Date().toISOString().slice(0, 10);
+  }
+
+  // -------------------------------
+  // Mail drafts (mailto: links and .eml files)
+  // -------------------------------
+  // Many clients/browsers cut mailto: URLs somewhere past 2000 characters
+  const MAILTO_MAX_LENGTH = 2000;
+
+  // "a@x.com; b@y.com" or ['a@x.com'] -> ['a@x.com', 'b@y.com']
+  function parseRecipients(value) {
+    const list = Array.isArray(value) ? value : String(value || '').split(/[,;]/);
+    return list.map(x => String(x).trim()).filter(Boolean);
+  }
+
+  // Build a mailto: URL. Bodies that would push it past maxLength are shortened
+  // (with a marker) and reported via `truncated` so the page can suggest .eml.
+  // Returns { url, truncated }
+  function buildMailto({ to = '', cc = '', bcc = '', subject = '', body = '' } = {}, { maxLength = MAILTO_MAX_LENGTH } = {}) {
+    const enc = v => encodeURIComponent(v).replace(/%40/g, '@');
+    const encBody = v => encodeURIComponent(String(v).replace(/\r?\n/g, '\r\n'));
+    const build = (bodyText) => {
+      const params = [];
+      const ccList = parseRecipients(cc);
+      const bccList = parseRecipients(bcc);
+      if (ccList.length) params.push(`cc=${ccList.map(enc).join(',')}`);
+      if (bccList.length) params.push(`bcc=${bccList.map(enc).join(',')}`);
+      if (subject) params.push(`subject=${encodeURIComponent(subject)}`);
+      if (bodyText) params.push(`body=${encBody(bodyText)}`);
+      const query = params.length ? `?${params.join('&')}` : '';
+      return `mailto:${parseRecipients(to).map(enc).join(',')}${query}`;
+    };
+
+    const full = build(body);
+    if (full.length <= maxLength) return { url: full, truncated: false };
+
+    // Longest body prefix that still fits (binary search on code points, so
+    // an emoji is never cut in half — a lone surrogate makes encoding throw)
+    const marker = '\n\n[…]';
+    const chars = Array.from(String(body));
+    const prefix = n => chars.slice(0, n).join('');
+    let lo = 0;
+    let hi = chars.length;
+    while (lo < hi) {
+      const mid = Math.ceil((lo + hi) / 2);
+      if (build(prefix(mid) + marker).length <= maxLength) lo = mid;
+      else hi = mid - 1;
+    }
+    const url = build(lo > 0 ? prefix(lo) + marker : '');
+    return { url, truncated: true };
+  }
+
+  // UTF-8 safe base64, wrapped at 76 characters per line (RFC 2045)
+  function base64Lines(str) {
+    const bytes = new TextEncoder().encode(String(str));
+    let bin = '';
+    for (let i = 0; i < bytes.length; i += 0x8000) {
+      bin += String.fromCharCode.apply(null, bytes.subarray(i, i + 0x8000));
+    }
+    return (btoa(bin).match(/.{1,76}/g) || []).join('\r\n');
+  }
+
+  // RFC 2047 encoded-words for non-ASCII header values, folded so each word
+  // stays under the 75-character limit
+  function encodeHeader(value) {
+    const str = String(value || '');
+    if (/^[\x20-\x7e]*$/.test(str)) return str;
+    const encoder = new TextEncoder();
+    const chunks = [''];
+    for (const ch of str) {
+      if (encoder.encode(chunks[chunks.length - 1] + ch).length > 45) chunks.push('');
+      chunks[chunks.length - 1] += ch;
+    }
+    return chunks.map(c => `=?UTF-8?B?${base64Lines(c).replace(/\r\n/g, '')}?=`).join('\r\n ');
+  }
+
+  // RFC 5322 draft message. With `html` the body is multipart/alternative
+  // (plain + HTML). X-Unsent makes Outlook open it as an editable draft.
+  function buildEml({ to = '', cc = '', bcc = '', subject = '', text = '', html = null, date = new Date() } = {}) {
+    const CRLF = '\r\n';
+    const headers = [];
+    const toList = parseRecipients(to);
+    const ccList = parseRecipients(cc);
+    const bccList = parseRecipients(bcc);
+    if (toList.length) headers.push(`To: ${toList.join(', ')}`);
+    if (ccList.length) headers.push(`Cc: ${ccList.join(', ')}`);
+    if (bccList.length) headers.push(`Bcc: ${bccList.join(', ')}`);
+    headers.push(`Subject: ${encodeHeader(subject)}`);
+    headers.push(`Date: ${date.toUTCString().replace('GMT', '+0000')}`);
+    headers.push('MIME-Version: 1.0');
+    headers.push('X-Unsent: 1');
+
+    const textPart = [
+      'Content-Type: text/plain; charset=UTF-8',
+      'Content-Transfer-Encoding: base64',
+      '',
+      base64Lines(String(text).replace(/\r?\n/g, CRLF))
+    ];
+
+    if (!html) {
+      return [...headers, ...textPart].join(CRLF) + CRLF;
+    }
+
+    const boundary = `=_et_${uid()}`;
+    const htmlDoc = `<!doctype html><html><head><meta charset="utf-8"></head><body>${html}</body></html>`;
+    return [
+      ...headers,
+      `Content-Type: multipart/alternative; boundary="${boundary}"`,
+      '',
+      `--${boundary}`,
+      ...textPart,
+      `--${boundary}`,
+      'Content-Type: text/html; charset=UTF-8',
+      'Content-Transfer-Encoding: base64',
+      '',
+      base64Lines(htmlDoc),
+      `--${boundary}--`,
+      ''
+    ].join(CRLF);
+  }
+
+  // -------------------------------
+  // CSV + zip (mail merge)
+  // -------------------------------
+  // "First Name" -> "first_name", so spreadsheet headers line up with placeholder keys
+  const normalizeHeader = h => String(h).trim().toLowerCase().replace(/[^a-z0-9]+/g, '_').replace(/^_|_$/g, '');
+
+  // RFC 4180-style CSV (quoted fields, "" escapes, embedded newlines).
+  // The delimiter (comma, semicolon or tab) is guessed from the header line.
+  // Returns { headers, rows } with rows as objects keyed by normalised header.
+  function parseCsv(text) {
+    const src = String(text || '').replace(/^\uFEFF/, '');
+    const firstLine = src.split(/\r?\n/, 1)[0] || '';
+    const count = ch => firstLine.split(ch).length - 1;
+    const delim = [',', ';', '\t'].reduce((best, ch) => (count(ch) > count(best) ? ch : best), ',');
+
+    const records = [];
+    let record = [];
+    let field = '';
+    let quoted = false;
+    for (let i = 0; i < src.length; i++) {
+      const ch = src[i];
+      if (quoted) {
+        if (ch === '"' && src[i + 1] === '"') { field += '"'; i++; }
+        else if (ch === '"') quoted = false;
+        else field += ch;
+      } else if (ch === '"' && field === '') {
+        quoted = true;
+      } else if (ch === delim) {
+        record.push(field);
+        field = '';
+      } else if (ch === '\n' || ch === '\r') {
+        if (ch === '\r' && src[i + 1] === '\n') i++;
+        record.push(field);
+        records.push(record);
+        record = [];
+        field = '';
+      } else {
+        field += ch;
+      }
+    }
+    if (field !== '' || record.length) {
+      record.push(field);
+      records.push(record);
+    }
+
+    const nonEmpty = records.filter(r => r.some(v => v.trim() !== ''));
+    if (!nonEmpty.length) return { headers: [], rows: [] };
+    const headers = nonEmpty[0].map(normalizeHeader);
+    const rows = nonEmpty.slice(1).map(r => {
+      const row = {};
+      headers.forEach((h, i) => { if (h) row[h] = (r[i] ?? '').trim(); });
+      return row;
+    });
+    return { headers: headers.filter(Boolean), rows };
+  }
+
+  // Rows (objects) -> CSV text with the given column order
+  function toCsv(rows, columns) {
+    const cell = v => {
+      const str = v === undefined || v === null ? '' : String(v);
+      return /[",\r\n]/.test(str) ? `"${str.replace(/"/g, '""')}"` : str;
+    };
+    const lines = [columns.map(cell).join(',')];
+    for (const row of rows) lines.push(columns.map(c => cell(row[c])).join(','));
+    return lines.join('\r\n') + '\r\n';
+  }
+
+  let crcTable = null;
+  function crc32(bytes) {
+    if (!crcTable) {
+      crcTable = new Uint32Array(256);
+      for (let n = 0; n < 256; n++) {
+        let c = n;
+        for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+        crcTable[n] = c >>> 0;
+      }
+    }
+    let crc = 0xffffffff;
+    for (let i = 0; i < bytes.length; i++) crc = crcTable[(crc ^ bytes[i]) & 0xff] ^ (crc >>> 8);
+    return (crc ^ 0xffffffff) >>> 0;
+  }
+
+  // Minimal zip writer (stored, no compression) for [{ name, content }] text files.
+  // Returns a Uint8Array ready for downloadFile(name, bytes, 'application/zip').
+  function makeZip(files) {
+    const encoder = new TextEncoder();
+    const local = [];
+    const central = [];
+    let offset = 0;
+
+    // DOS date/time of "now" for every entry
+    const d = new Date();
+    const dosTime = (d.getHours() << 11) | (d.getMinutes() << 5) | Math.floor(d.getSeconds() / 2);
+    const dosDate = ((d.getFullYear() - 1980) << 9) | ((d.getMonth() + 1) << 5) | d.getDate();
+
+    for (const file of files) {
+      const name = encoder.encode(file.name);
+      const data = typeof file.content === 'string' ? encoder.encode(file.content) : file.content;
+      const crc = crc32(data);
+
+      const header = new DataView(new ArrayBuffer(30));
+      header.setUint32(0, 0x04034b50, true);  // local file header signature
+      header.setUint16(4, 20, true);          // version needed
+      header.setUint16(6, 0x0800, true);      // UTF-8 names
+      header.setUint16(8, 0, true);           // stored
+      header.setUint16(10, dosTime, true);
+      header.setUint16(12, dosDate, true);
+      header.setUint32(14, crc, true);
+      header.setUint32(18, data.length, true);
+      header.setUint32(22, data.length, true);
+      header.setUint16(26, name.length, true);
+      local.push(new Uint8Array(header.buffer), name, data);
+
+      const entry = new DataView(new ArrayBuffer(46));
+      entry.setUint32(0, 0x02014b50, true);   // central directory signature
+      entry.setUint16(4, 20, true);           // version made by
+      entry.setUint16(6, 20, true);
+      entry.setUint16(8, 0x0800, true);
+      entry.setUint16(10, 0, true);
+      entry.setUint16(12, dosTime, true);
+      entry.setUint16(14, dosDate, true);
+      entry.setUint32(16, crc, true);
+      entry.setUint32(20, data.length, true);
+      entry.setUint32(24, data.length, true);
+      entry.setUint16(28, name.length, true);
+      entry.setUint32(42, offset, true);      // local header offset
+      central.push(new Uint8Array(entry.buffer), name);
+
+      offset += 30 + name.length + data.length;
+    }
+
+    const centralSize = central.reduce((n, part) => n + part.length, 0);
+    const end = new DataView(new ArrayBuffer(22));
+    end.setUint32(0, 0x06054b50, true);       // end of central directory
+    end.setUint16(8, files.length, true);
+    end.setUint16(10, files.length, true);
+    end.setUint32(12, centralSize, true);
+    end.setUint32(16, offset, true);
+
+    const parts = [...local, ...central, new Uint8Array(end.buffer)];
+    const out = new Uint8Array(parts.reduce((n, part) => n + part.length, 0));
+    let pos = 0;
+    for (const part of parts) {
+      out.set(part, pos);
+      pos += part.length;
+    }
+    return out;
+  }
+
+  // -------------------------------
+  // Folders API
+  // -------------------------------
+  function listFolders() {
+    return clone(readStore().folders);
+  }
+
+  // parentId = null creates a top-level folder
+  function createFolder(name, parentId = null) {
+    const store = getStore();
+    const parent = parentId && store.folders.some(f => f.id === parentId) ? parentId : null;
+    const folder = { id: uid(), name: String(name || 'New Folder').trim() || 'New Folder', parentId: parent, createdAt: nowISO() };
+    store.folders.push(folder);
+    saveStore(store);
+    return folder;
+  }
+
+  // Ids of every folder nested (at any depth) under folderId
+  function descendantFolderIds(folderId, folders = listFolders()) {
+    const out = [];
+    const queue = [folderId];
+    while (queue.length) {
+      const id = queue.shift();
+      for (const f of folders) {
+        if (f.parentId === id && !out.includes(f.id)) {
+          out.push(f.id);
+          queue.push(f.id);
+        }
+      }
+    }
+    return out;
+  }
+
+  // "Outbound / Events / 2026"
+  function folderPath(folderId, folders = listFolders(), separator = ' / ') {
+    const byId = new Map(folders.map(f => [f.id, f]));
+    const names = [];
+    const seen = new Set();
+    for (let f = byId.get(folderId); f && !seen.has(f.id); f = byId.get(f.parentId)) {
+      seen.add(f.id);
+      names.unshift(f.name);
+    }
+    return names.join(separator);
+  }
+
+  // Depth-first, name-sorted flattening of the folder tree:
+  // [{ folder, depth, path, hasChildren }]
+  function listFolderTree() {
+    const folders = listFolders();
+    const ids = new Set(folders.map(f => f.id));
+    const childrenOf = (parentId) => folders
+      .filter(f => (parentId === null ? !ids.has(f.parentId) : f.parentId === parentId))
+      .sort((a, b) => a.name.localeCompare(b.name));
+    const out = [];
+    const visit = (parentId, depth) => {
+      for (const folder of childrenOf(parentId)) {
+        const hasChildren = folders.some(f => f.parentId === folder.id);
+        out.push({ folder, depth, path: folderPath(folder.id, folders), hasChildren });
+        visit(folder.id, depth + 1);
+      }
+    };
+    visit(null, 0);
+    // Folders caught in a parent cycle (e.g. from a bad import) still show at the top level
+    for (const folder of folders) {
+      if (!out.some(x => x.folder.id === folder.id)) {
+        out.push({ folder, depth: 0, path: folder.name, hasChildren: false });
+      }
+    }
+    return out;
+  }
+
+  // Re-parent a folder (null = top level). Refuses to move a folder into itself
+  // or one of its own subfolders.
+  function moveFolder(id, parentId) {
+    const store = getStore();
+    const f = store.folders.find(x => x.id === id);
+    if (!f) return false;
+    const target = parentId || null;
+    if (target && (target === id || descendantFolderIds(id, store.folders).includes(target))) return false;
+    if (target && !store.folders.some(x => x.id === target)) return false;
+    f.parentId = target;
+    saveStore(store);
+    return true;
+  }
+
+  function renameFolder(id, newName) {
+    const store = getStore();
+    const f = store.folders.find(x => x.id === id);
+    if (!f) return false;
+    f.name = String(newName || '').trim() || f.name;
+    saveStore(store);
+    return true;
+  }
+
+  // Moves the folder to the trash. Returns the trash entry id (or false).
+  // mode:
+  // - 'keep' (default): do not delete templates, just set their folderId = null
+  // - 'deleteTemplates': move all templates within the folder to the trash with it
+  // options.subfolders:
+  // - 'keep' (default): subfolders move up to the deleted folder's parent
+  // - 'cascade': subfolders are deleted too (templates inside them follow `mode`)
+  function deleteFolder(id, mode = 'keep', { subfolders = 'keep' } = {}) {
+    const store = getStore();
+    const idx = store.folders.findIndex(x => x.id === id);
+    if (idx === -1) return false;
+
+    const folder = store.folders[idx];
+    const removedIds = subfolders === 'cascade' ? [id, ...descendantFolderIds(id, store.folders)] : [id];
+    const entry = {
+      id: uid(),
+      kind: 'folder',
+      deletedAt: nowISO(),
+      folder,
+      subfolders: store.folders.filter(f => f.id !== id && removedIds.includes(f.id)),
+      reparentedFolderIds: [],
+      templates: [],
+      keptTemplates: [] // [{ id, folderId }] templates moved to "No folder"
+    };
+
+    if (subfolders !== 'cascade') {
+      for (const f of store.folders) {
+        if (f.parentId === id) {
+          f.parentId = folder.parentId || null;
+          entry.reparentedFolderIds.push(f.id);
+        }
+      }
+    }
+
+    if (mode === 'deleteTemplates') {
+      entry.templates = store.templates.filter(t => removedIds.includes(t.folderId));
+      store.templates = store.templates.filter(t => !removedIds.includes(t.folderId));
+    } else {
+      for (const t of store.templates) {
+        if (removedIds.includes(t.folderId)) {
+          entry.keptTemplates.push({ id: t.id, folderId: t.folderId });
+          t.folderId = null;
+        }
+      }
+    }
+    store.folders = store.folders.filter(f => !removedIds.includes(f.id));
+    store.trash.push(entry);
+    saveStore(store);
+    return entry.id;
+  }
+
+  function moveTemplatesToFolder(templateIds, folderId) {
+    const store = getStore();
+    for (const t of store.templates) {
+      if (templateIds.includes(t.id)) t.folderId = folderId || null;
+    }
+    saveStore(store);
+    return true;
+  }
+
+  // -------------------------------
+  // Fields API (placeholder registry)
+  // -------------------------------
+  function listFields() {
+    return clone(readStore().fields);
+  }
+
+  function getField(key) {
+    const f = readStore().fields.find(x => x.key === key);
+    return f ? clone(f) : null;
+  }
+
+  // Returns an error message for an invalid field, or '' when it is fine to save.
+  // Pass `existingKey` when editing so the field does not collide with itself.
+  function validateField(field, existingKey = null) {
+    const key = String(field?.key || '').trim();
+    if (!key) return 'Key is required.';
+    if (!FIELD_KEY_RE.test(key)) return 'Key may only use lowercase letters, digits and underscores.';
+    if (field.type && !FIELD_TYPES.includes(field.type)) return `Unknown field type "${field.type}".`;
+    if (key !== existingKey && readStore().fields.some(f => f.key === key)) return `A field with key "${key}" already exists.`;
+    return '';
+  }
+
+  function normalizeField(field) {
+    const key = String(field.key || '').trim();
+    return {
+      key,
+      label: String(field.label || '').trim() || key,
+      type: FIELD_TYPES.includes(field.type) ? field.type : 'text',
+      defaultValue: String(field.defaultValue ?? ''),
+      placeholder: String(field.placeholder || ''),
+      help: String(field.help || '')
+    };
+  }
+
+  function createField(field = {}) {
+    if (validateField(field)) return null;
+    const store = getStore();
+    const f = normalizeField(field);
+    store.fields.push(f);
+    saveStore(store);
+    return f;
+  }
+
+  // Forms pass { expected: the field as they loaded it } so a change saved
+  // meanwhile (e.g. in another tab) throws StoreConflictError instead of
+  // being overwritten
+  function updateField(key, patch = {}, { expected = null } = {}) {
+    const store = getStore();
+    const f = store.fields.find(x => x.key === key);
+    if (!f) return false;
+    assertUnchanged(f, expected, `The field "${key}"`);
+    if (validateField({ ...f, ...patch, key }, key)) return false;
+    Object.assign(f, normalizeField({ ...f, ...patch, key }));
+    saveStore(store);
+    return true;
+  }
+
+  function deleteField(key) {
+    const store = getStore();
+    const i = store.fields.findIndex(x => x.key === key);
+    if (i === -1) return false;
+    store.fields.splice(i, 1);
+    saveStore(store);
+    return true;
+  }
+
+  // Fill blank values with each field's default (does not mutate `data`)
+  function applyFieldDefaults(data = {}) {
+    const out = { ...data };
+    for (const f of readStore().fields) {
+      const val = out[f.key];
+      const blank = val === undefined || val === null || String(val).trim() === '';
+      if (blank && f.defaultValue) out[f.key] = f.defaultValue;
+    }
+    return out;
+  }
+
+  // -------------------------------
+  // Contacts (saved recipient profiles)
+  // -------------------------------
+  // { id, name, email, values: { fieldKey: value }, createdAt, updatedAt }
+  // `values` holds whatever placeholder fields the contact fills (custom ones too).
+
+  // Falls back to "Terry — ABC Industries", then the email address
+  function contactDisplayName({ name, email, values = {} }) {
+    const given = String(name || '').trim();
+    if (given) return given;
+    const parts = [values.first_name, values.company_name].map(v => String(v || '').trim()).filter(Boolean);
+    return parts.join(' — ') || String(email || '').trim() || 'Unnamed contact';
+  }
+
+  function normalizeContact(contact) {
+    const values = {};
+    for (const [key, value] of Object.entries(contact.values || {})) {
+      if (FIELD_KEY_RE.test(key) && !isBlank(value)) values[key] = String(value).trim();
+    }
+    return { name: contactDisplayName({ ...contact, values }), email: String(contact.email || '').trim(), values };
+  }
+
+  // Name-sorted; `query` matches name, email or any value (case-insensitive)
+  function listContacts(query = '') {
+    const q = String(query || '').trim().toLowerCase();
+    const all = clone(readStore().contacts).sort((a, b) => a.name.localeCompare(b.name));
+    if (!q) return all;
+    return all.filter(c => [c.name, c.email, ...Object.values(c.values)].some(v => String(v).toLowerCase().includes(q)));
+  }
+
+  function getContact(id) {
+    const c = readStore().contacts.find(x => x.id === id);
+    return c ? clone(c) : null;
+  }
+
+  function createContact(contact = {}) {
+    const store = getStore();
+    const c = { id: uid(), ...normalizeContact(contact), createdAt: nowISO(), updatedAt: nowISO() };
+    store.contacts.push(c);
+    saveStore(store);
+    return c;
+  }
+
+  // patch.values replaces the stored values (pass the full set).
+  // options.expected: as for updateField
+  function updateContact(id, patch = {}, { expected = null } = {}) {
+    const store = getStore();
+    const c = store.contacts.find(x => x.id === id);
+    if (!c) return false;
+    assertUnchanged(c, expected, `The contact "${c.name}"`);
+    Object.assign(c, normalizeContact({ ...c, ...patch }), { updatedAt: nowISO() });
+    saveStore(store);
+    return true;
+  }
+
+  function deleteContact(id) {
+    const store = getStore();
+    const i = store.contacts.findIndex(c => c.id === id);
+    if (i === -1) return false;
+    store.contacts.splice(i, 1);
+    saveStore(store);
+    return true;
+  }
+
+  // Add or update many contacts at once (CSV / vCard import). An incoming
+  // contact matching an existing email (or, without email, name) updates it.
+  // Returns { added, updated }.
+  function importContacts(contacts) {
+    const store = getStore();
+    const counts = { added: 0, updated: 0 };
+    const keyOf = c => (c.email ? `email:${c.email.toLowerCase()}` : `name:${c.name.toLowerCase()}`);
+    const byKey = new Map(store.contacts.map(c => [keyOf(c), c]));
+    for (const incoming of contacts) {
+      const next = normalizeContact(incoming);
+      const existing = byKey.get(keyOf(next));
+      if (existing) {
+        Object.assign(existing, normalizeContact({
+          name: String(incoming.name || '').trim() || existing.name, // keep a name the user chose
+          email: next.email || existing.email,
+          values: { ...existing.values, ...next.values }
+        }), { updatedAt: nowISO() });
+        counts.updated++;
+      } else {
+        const c = { id: uid(), ...next, createdAt: nowISO(), updatedAt: nowISO() };
+        store.contacts.push(c);
+        byKey.set(keyOf(c), c);
+        counts.added++;
+      }
+    }
+    saveStore(store);
+    return counts;
+  }
+
+  // Common spreadsheet / address-book headers (normalised) for contact columns
+  const CONTACT_COLUMNS = {
+    name: ['name', 'full_name', 'display_name', 'contact'],
+    email: ['email', 'email_address', 'e_mail', 'to'],
+    first_name: ['first_name', 'firstname', 'first', 'given_name'],
+    company_name: ['company_name', 'company', 'organization', 'organisation', 'org']
+  };
+
+  // CSV text -> contacts. Columns named like field keys fill those fields.
+  function contactsFromCsv(text) {
+    const { rows } = parseCsv(text);
+    const fieldKeys = new Set(readStore().fields.map(f => f.key));
+    return rows.map(row => {
+      const pick = aliases => row[aliases.find(a => !isBlank(row[a]))] || '';
+      const values = {};
+      for (const [key, value] of Object.entries(row)) {
+        if (fieldKeys.has(key)) values[key] = value;
+      }
+      if (!values.first_name) values.first_name = pick(CONTACT_COLUMNS.first_name);
+      if (!values.company_name) values.company_name = pick(CONTACT_COLUMNS.company_name);
+      return { name: pick(CONTACT_COLUMNS.name), email: pick(CONTACT_COLUMNS.email), values };
+    }).filter(c => c.name || c.email || Object.values(c.values).some(v => !isBlank(v)));
+  }
+
+  // vCard (2.1 / 3.0 / 4.0) text -> contacts: FN, N (given name), EMAIL, ORG
+  function contactsFromVCard(text) {
+    const unescape = v => v.replace(/\\([,;\\nN])/g, (m, c) => (c === 'n' || c === 'N' ? '\n' : c));
+    // Unfold continuation lines (RFC 6350 §3.2)
+    const lines = String(text || '').replace(/\r\n|\r/g, '\n').replace(/\n[ \t]/g, '').split('\n');
+    const out = [];
+    let card = null;
+    for (const line of lines) {
+      const colon = line.indexOf(':');
+      if (colon === -1) continue;
+      const prop = line.slice(0, colon).split(';')[0].split('.').pop().toUpperCase();
+      const value = line.slice(colon + 1).trim();
+      if (prop === 'BEGIN' && value.toUpperCase() === 'VCARD') {
+        card = { name: '', email: '', values: {} };
+      } else if (prop === 'END' && card) {
+        if (card.name || card.email || card.values.first_name) out.push(card);
+        card = null;
+      } else if (card) {
+        if (prop === 'FN') card.name = unescape(value);
+        else if (prop === 'N') card.values.first_name = card.values.first_name || unescape(value.split(';')[1] || '');
+        else if (prop === 'EMAIL' && !card.email) card.email = unescape(value);
+        else if (prop === 'ORG') card.values.company_name = unescape(value.split(';')[0]);
+      }
+    }
+    return out;
+  }
+
+  // -------------------------------
+  // Templates API
+  // -------------------------------
+  // filter.folderId: undefined = all, null = no folder, id = that folder
+  // filter.includeSubfolders: also return templates in folders nested under folderId
+  // filter.sort (see sortTemplates) floats pinned templates first; without it
+  // the list is plain name order. filter.tags keeps templates carrying all of
+  // them (tagMode 'all') or at least one (tagMode 'any').
+  function listTemplates(filter = {}) {
+    const { folderId = undefined, includeSubfolders = false, sort = null, tags = [], tagMode = 'all' } = filter;
+    const wanted = parseTags(tags);
+    const store = readStore();
+    const templates = wanted.length ? store.templates.filter(t => hasTags(t, wanted, tagMode)) : store.templates;
+    const all = sort ? sortTemplates(templates, sort) : templates.slice().sort((a, b) => a.name.localeCompare(b.name));
+    if (folderId === undefined) return all.map(templateCopy);
+    if (folderId !== null && includeSubfolders) {
+      const ids = new Set([folderId, ...descendantFolderIds(folderId, store.folders)]);
+      return all.filter(t => ids.has(t.folderId)).map(templateCopy);
+    }
+    return all.filter(t => (folderId === null ? t.folderId === null : t.folderId === folderId)).map(templateCopy);
+  }
+
+  function getTemplate(id) {
+    const t = readStore().templates.find(x => x.id === id);
+    return t ? templateCopy(t) : null;
+  }
+
+  // Templates are handed out without their revision history (see listRevisions)
+  function templateCopy(t) {
+    const { revisions, ...rest } = t;
+    return clone(rest);
+  }
+
+  // New array: pinned first, then by `sort` — 'name', 'updated' / 'created'
+  // (newest first), 'most-used' / 'least-used' (usage log; ties go to the
+  // more / less recently used), always falling back to name
+  function sortTemplates(templates, sort = 'name') {
+    const stats = sort === 'most-used' || sort === 'least-used' ? usageStats() : null;
+    const usage = id => stats[id] || { count: 0, lastUsedAt: '' };
+    const byKey = {
+      name: () => 0,
+      updated: (a, b) => String(b.updatedAt || '').localeCompare(String(a.updatedAt || '')),
+      created: (a, b) => String(b.createdAt || '').localeCompare(String(a.createdAt || '')),
+      'most-used': (a, b) => usage(b.id).count - usage(a.id).count ||
+        String(usage(b.id).lastUsedAt || '').localeCompare(String(usage(a.id).lastUsedAt || '')),
+      'least-used': (a, b) => usage(a.id).count - usage(b.id).count ||
+        String(usage(a.id).lastUsedAt || '').localeCompare(String(usage(b.id).lastUsedAt || ''))
+    };
+    const compare = byKey[sort] || byKey.name;
+    return templates.slice().sort((a, b) =>
+      Number(Boolean(b.pinned)) - Number(Boolean(a.pinned)) || compare(a, b) || a.name.localeCompare(b.name));
+  }
+
+  // -------------------------------
+  // Tags
+  // -------------------------------
+  // Free-form labels that cut across folders (stage, persona, language…).
+  // Matching ignores case; the first spelling saved becomes the canonical one.
+  const TAG_MAX_LENGTH = 40;
+  const sameTag = (a, b) => a.localeCompare(b, undefined, { sensitivity: 'accent' }) === 0;
+
+  // "follow-up, CFO, #de" or an array -> ['follow-up', 'CFO', 'de'] (trimmed, deduped)
+  function parseTags(value) {
+    const list = Array.isArray(value) ? value : String(value || '').split(',');
+    const out = [];
+    for (const raw of list) {
+      const tag = String(raw || '').replace(/\s+/g, ' ').trim().replace(/^#+/, '').slice(0, TAG_MAX_LENGTH).trim();
+      if (tag && !out.some(x => sameTag(x, tag))) out.push(tag);
+    }
+    return out;
+  }
+
+  function hasTags(template, tags, mode = 'all') {
+    const own = template.tags || [];
+    const has = tag => own.some(x => sameTag(x, tag));
+    return mode === 'any' ? tags.some(has) : tags.every(has);
+  }
+
+  // Reuse the spelling already in the library ("cfo" -> "CFO")
+  function canonicalTags(tags, templates) {
+    const known = listTagNames(templates);
+    return parseTags(tags).map(tag => known.find(x => sameTag(x, tag)) || tag);
+  }
+
+  function listTagNames(templates = readStore().templates) {
+    return parseTags(templates.flatMap(t => t.tags || []));
+  }
+
+  // [{ name, count }] by name
+  function listTags() {
+    const templates = readStore().templates;
+    return listTagNames(templates)
+      .map(name => ({ name, count: templates.filter(t => hasTags(t, [name])).length }))
+      .sort((a, b) => a.name.localeCompare(b.name, undefined, { sensitivity: 'base' }));
+  }
+
+  // Swap `from` for `to` on every template (the two merge when `to` already
+  // exists). Returns how many templates changed, or false for a blank name.
+  function renameTag(from, to) {
+    return mergeTags([from], to);
+  }
+
+  // Fold several tags into one (e.g. "CFO", "finance" -> "Finance") in a
+  // single save. Returns how many templates changed, or false for a blank name.
+  function mergeTags(tags, into) {
+    const [target] = parseTags([into]);
+    if (!target) return false;
+    const sources = parseTags(tags);
+    const store = getStore();
+    let changed = 0;
+    for (const t of store.templates) {
+      if (!hasTags(t, sources, 'any')) continue;
+      t.tags = parseTags(t.tags.map(x => (sources.some(tag => sameTag(x, tag)) ? target : x)));
+      changed++;
+    }
+    if (changed) saveStore(store);
+    return changed;
+  }
+
+  // Remove a tag from every template. Returns how many templates changed.
+  function deleteTag(tag) {
+    const store = getStore();
+    let changed = 0;
+    for (const t of store.templates) {
+      if (!hasTags(t, [tag])) continue;
+      t.tags = t.tags.filter(x => !sameTag(x, tag));
+      if (!t.tags.length) delete t.tags;
+      changed++;
+    }
+    if (changed) saveStore(store);
+    return changed;
+  }
+
+  // Pinning is a list preference, not an edit: no revision, updatedAt untouched
+  function setTemplatePinned(id, pinned) {
+    const store = getStore();
+    const t = store.templates.find(x => x.id === id);
+    if (!t) return false;
+    if (pinned) t.pinned = true;
+    else delete t.pinned;
+    saveStore(store);
+    return true;
+  }
+
+  // -------------------------------
+  // Search
+  // -------------------------------
+  // Query syntax: plain words and "quoted phrases" (all must match, in name,
+  // subject or body), uses:key (template uses {{key}}), folder:name, tag:name.
+  function parseSearchQuery(query) {
+    const out = { terms: [], uses: [], folders: [], tags: [] };
+    const re = /(\w+):(?:"([^"]*)"|(\S+))|"([^"]*)"|(\S+)/g;
+    let m;
+    while ((m = re.exec(String(query || ''))) !== null) {
+      if (m[1]) {
+        const value = (m[2] ?? m[3]).toLowerCase();
+        const qualifier = m[1].toLowerCase();
+        if (qualifier === 'uses' || qualifier === 'placeholder') out.uses.push(value);
+        else if (qualifier === 'folder' || qualifier === 'in') out.folders.push(value);
+        else if (qualifier === 'tag') out.tags.push(value);
+        else out.terms.push(m[0].toLowerCase()); // unknown qualifier: search for it literally
+      } else {
+        const term = (m[4] ?? m[5]).trim().toLowerCase();
+        if (term) out.terms.push(term);
+      }
+    }
+    return out;
+  }
+
+  function countOccurrences(haystack, needle) {
+    let n = 0;
+    for (let i = haystack.indexOf(needle); i !== -1; i = haystack.indexOf(needle, i + needle.length)) n++;
+    return n;
+  }
+
+  // ~radius characters around the first match, with every term's positions
+  // inside it: { text, ranges: [[start, end], …] }
+  function buildSnippet(text, terms, radius = 60) {
+    const lower = text.toLowerCase();
+    const first = Math.min(...terms.map(t => lower.indexOf(t)).filter(i => i !== -1));
+    if (!Number.isFinite(first)) return null;
+    const start = Math.max(0, first - radius);
+    const end = Math.min(text.length, first + radius * 2);
+    const prefix = start > 0 ? '…' : '';
+    const slice = text.slice(start, end).replace(/\s+/g, ' ');
+    const snippet = prefix + slice + (end < text.length ? '…' : '');
+
+    const ranges = [];
+    const snippetLower = snippet.toLowerCase();
+    for (const t of terms) {
+      for (let i = snippetLower.indexOf(t); i !== -1; i = snippetLower.indexOf(t, i + t.length)) {
+        ranges.push([i, i + t.length]);
+      }
+    }
+    ranges.sort((a, b) => a[0] - b[0]);
+    // merge overlaps so highlighting never nests
+    const merged = [];
+    for (const r of ranges) {
+      const last = merged[merged.length - 1];
+      if (last && r[0] <= last[1]) last[1] = Math.max(last[1], r[1]);
+      else merged.push(r.slice());
+    }
+    return { text: snippet, ranges: merged };
+  }
+
+  // Ranked search. Returns [{ template, score, snippet }] (snippet may be null).
+  // filter.folderId narrows to one folder like listTemplates.
+  function searchTemplates(query, filter = {}) {
+    const q = parseSearchQuery(query);
+    const folders = readStore().folders;
+    const folderIds = q.folders.length
+      ? new Set(folders.filter(f => q.folders.some(name => f.name.toLowerCase().includes(name))).map(f => f.id))
+      : null;
+
+    const results = [];
+    for (const t of listTemplates(filter)) {
+      if (folderIds && !folderIds.has(t.folderId)) continue;
+      if (q.tags.length && !hasTags(t, q.tags)) continue;
+      if (q.uses.length) {
+        const keys = placeholderKeys(`${t.subject || ''}\n${t.content || ''}`);
+        if (!q.uses.every(k => keys.includes(k))) continue;
+      }
+
+      const name = t.name.toLowerCase();
+      const subject = (t.subject || '').toLowerCase();
+      const content = (t.content || '').toLowerCase();
+      let score = 0;
+      let matchedAll = true;
+      for (const term of q.terms) {
+        const inName = name.includes(term);
+        const inSubject = subject.includes(term);
+        const inBody = countOccurrences(content, term);
+        if (!inName && !inSubject && !inBody) { matchedAll = false; break; }
+        if (inName) score += name.startsWith(term) ? 15 : 10;
+        if (inSubject) score += 5;
+        score += Math.min(inBody, 5);
+      }
+      if (!matchedAll) continue;
+
+      const snippet = q.terms.length
+        ? buildSnippet(t.content || '', q.terms) || buildSnippet(t.subject || '', q.terms)
+        : null;
+      results.push({ template: t, score, snippet });
+    }
+
+    return results.sort((a, b) => b.score - a.score || a.template.name.localeCompare(b.template.name));
+  }
+
+  // -------------------------------
+  // Lint (builder checks)
+  // -------------------------------
+  // Filters that only do something with a parseable date
+  const DATE_FILTERS = ['longdate', 'shortdate', 'weekday', 'relative', 'date'];
+  const DEFAULT_SUBJECT_MAX = 78; // RFC 5322 recommended line length
+
+  function lintSettings() {
+    const saved = readStore().settings.lint || {};
+    const max = Number(saved.subjectMaxLength);
+    return {
+      subjectMaxLength: max > 0 ? max : DEFAULT_SUBJECT_MAX,
+      blockSaveOnErrors: saved.blockSaveOnErrors === true
+    };
+  }
+
+  function setLintSettings(patch = {}) {
+    const store = getStore();
+    const next = { ...lintSettings(), ...patch };
+    store.settings.lint = {
+      subjectMaxLength: Math.max(1, Math.round(Number(next.subjectMaxLength) || DEFAULT_SUBJECT_MAX)),
+      blockSaveOnErrors: next.blockSaveOnErrors === true
+    };
+    saveStore(store);
+    return store.settings.lint;
+  }
+
+  // 1-based line/column of a string index
+  function lineColumn(text, index) {
+    const before = text.slice(0, index).split('\n');
+    return { line: before.length, column: before[before.length - 1].length + 1 };
+  }
+
+  // Problems in one template text (subject or body). Pushes
+  // { severity, code, message, index, length } into `issues`.
+  function lintText(text, fieldsByKey, issues) {
+    const add = (severity, code, message, index, length) => issues.push({ severity, code, message, index, length });
+
+    // Malformed braces, line by line: {{ must be closed by }} on the same line
+    let offset = 0;
+    for (const line of text.split('\n')) {
+      let open = -1;
+      for (const m of line.matchAll(/\{\{|\}\}/g)) {
+        const at = offset + m.index;
+        if (m[0] === '{{') {
+          if (open !== -1) add('error', 'unclosed-braces', 'Placeholder is missing its closing }}', open, 2);
+          open = at;
+        } else if (open === -1) {
+          add('error', 'stray-braces', 'Found }} without an opening {{', at, 2);
+        } else {
+          open = -1;
+        }
+      }
+      if (open !== -1) add('error', 'unclosed-braces', 'Placeholder is missing its closing }}', open, 2);
+      offset += line.length + 1;
+    }
+
+    // Balanced {{…}} that the engine does not understand are printed as-is
+    const tagStarts = new Set();
+    TAG_RE.lastIndex = 0;
+    for (let m; (m = TAG_RE.exec(text)) !== null;) tagStarts.add(m.index);
+    for (const m of text.matchAll(/\{\{[^{}\n]*\}\}/g)) {
+      if (!tagStarts.has(m.index)) {
+        add('error', 'invalid-tag', `${m[0]} is not a valid placeholder (keys use letters, digits and _)`, m.index, m[0].length);
+      }
+    }
+
+    const checkKey = (key, index, length) => {
+      if (fieldsByKey.has(key)) return true;
+      add('warning', 'unknown-key', `Unknown placeholder "${key}" (not in the field list)`, index, length);
+      return false;
+    };
+
+    const blocks = [];
+    TAG_RE.lastIndex = 0;
+    for (let m; (m = TAG_RE.exec(text)) !== null;) {
+      const tag = parseTag(m[1]);
+      const len = m[0].length;
+      if (tag.type === 'if') {
+        checkKey(tag.key, m.index, len);
+        blocks.push({ index: m.index, length: len, inElse: false });
+      } else if (tag.type === 'else') {
+        const open = blocks[blocks.length - 1];
+        if (!open) add('error', 'stray-else', '{{else}} without an {{#if}}', m.index, len);
+        else if (open.inElse) add('error', 'stray-else', 'Second {{else}} in the same {{#if}} block', m.index, len);
+        else open.inElse = true;
+      } else if (tag.type === 'endif') {
+        if (!blocks.pop()) add('error', 'stray-endif', '{{/if}} without an {{#if}}', m.index, len);
+      } else {
+        const known = checkKey(tag.key, m.index, len);
+        for (const f of tag.filters) {
+          if (!FILTERS.has(f.name)) {
+            add('warning', 'unknown-filter', `Unknown filter "|${f.name}" on {{${tag.key}}}`, m.index, len);
+          } else if (known && DATE_FILTERS.includes(f.name) && fieldsByKey.get(tag.key).type !== 'date') {
+            add('warning', 'date-filter', `"|${f.name}" only formats dates, but "${tag.key}" is a ${fieldsByKey.get(tag.key).type} field`, m.index, len);
+          }
+        }
+      }
+    }
+    for (const open of blocks) add('error', 'unclosed-if', '{{#if}} block is missing its {{/if}}', open.index, open.length);
+  }
+
+  // Check a template as typed in an editor:
+  //   lintTemplate({ id?, name, subject, content, folderId }) ->
+  //   [{ severity: 'error'|'warning', code, message, where: 'name'|'subject'|'body', index, length, line, column }]
+  // `id` excludes the template itself from the duplicate-name check.
+  function lintTemplate(template, options = {}) {
+    const fieldsByKey = new Map((options.fields || readStore().fields).map(f => [f.key, f]));
+    const { subjectMaxLength } = { ...lintSettings(), ...options };
+    const out = [];
+    const collect = (where, text, issues) => {
+      for (const issue of issues) out.push({ ...issue, where, ...lineColumn(text, issue.index) });
+    };
+
+    const name = String(template.name || '').trim();
+    if (name) {
+      const folderId = template.folderId || null;
+      const clash = readStore().templates.some(t =>
+        t.id !== template.id && (t.folderId || null) === folderId && t.name.trim().toLowerCase() === name.toLowerCase());
+      if (clash) {
+        collect('name', name, [{ severity: 'warning', code: 'duplicate-name', message: `Another template in this folder is already called "${name}"`, index: 0, length: name.length }]);
+      }
+    }
+
+    const subject = String(template.subject || '');
+    const subjectIssues = [];
+    lintText(subject, fieldsByKey, subjectIssues);
+    if (subject.length > subjectMaxLength) {
+      subjectIssues.push({ severity: 'warning', code: 'subject-length', message: `Subject is ${subject.length} characters (limit ${subjectMaxLength})`, index: subjectMaxLength, length: subject.length - subjectMaxLength });
+    }
+    collect('subject', subject, subjectIssues);
+
+    const body = String(template.content || '');
+    const bodyIssues = [];
+    lintText(body, fieldsByKey, bodyIssues);
+    collect('body', body, bodyIssues);
+
+    const order = { name: 0, subject: 1, body: 2 };
+    return out.sort((a, b) => order[a.where] - order[b.where] || a.index - b.index);
+  }
+
+  function createTemplate({ name, subject = '', content, format = 'text', folderId = null, tags = [] }) {
+  const store = getStore();
+  const t = {
     id: uid(),
     name: String(name || 'Untitled Template').trim() || 'Untitled Template',
     subject: String(subject || '').trim(), // NEW
     content: String(content || '').trim(),
+    format: BODY_FORMATS.includes(format) ? format : 'text',
     folderId,
     createdAt: nowISO(),
     updatedAt: nowISO()
   };
+  const cleanTags = canonicalTags(tags, store.templates);
+  if (cleanTags.length) t.tags = cleanTags;
   store.templates.push(t);
   saveStore(store);
   return t;
 }
 
 
-  function updateTemplate(id, patch = {}) {
+  // options.expected: the template as the editor loaded it; a conflicting
+  // change since then throws StoreConflictError (see assertUnchanged)
+  function updateTemplate(id, patch = {}, { expected = null } = {}) {
   const store = getStore();
   const t = store.templates.find(x => x.id === id);
   if (!t) return false;
+  if (expected) assertUnchanged(editedPart(t), editedPart(expected), `"${t.name}"`);
+  const before = snapshotTemplate(t);
   if (patch.name !== undefined)    t.name    = String(patch.name).trim() || t.name;
   if (patch.subject !== undefined) t.subject = String(patch.subject).trim(); // NEW
   if (patch.content !== undefined) t.content = String(patch.content);
+  if (patch.format !== undefined && BODY_FORMATS.includes(patch.format)) t.format = patch.format;
   if (patch.folderId !== undefined) t.folderId = patch.folderId;
+  if (patch.tags !== undefined) {
+    const tags = canonicalTags(patch.tags, store.templates.filter(x => x !== t));
+    if (tags.length) t.tags = tags;
+    else delete t.tags;
+  }
+  // Keep the previous version when the text actually changed (folder moves don't count)
+  const after = snapshotTemplate(t);
+  if (REVISION_FIELDS.some(k => before[k] !== after[k])) {
+    t.revisions = (t.revisions || []).concat(before).slice(-(usingIndexedDb() ? MAX_REVISIONS_INDEXEDDB : MAX_REVISIONS));
+  }
   t.updatedAt = nowISO();
   saveStore(store);
   return true;
 }
 
+  // The parts of a template its editors write; pinning it elsewhere is no conflict
+  const EDITED_TEMPLATE_FIELDS = ['name', 'subject', 'content', 'format', 'folderId', 'tags'];
+
+  function editedPart(t) {
+    return Object.fromEntries(EDITED_TEMPLATE_FIELDS.map(k => [k, t[k] === undefined ? null : t[k]]));
+  }
+
+  // Copy a template (no revision history) next to the original, or into
+  // `folderId` when given. Returns the new template, or false if not found.
+  function duplicateTemplate(id, { folderId } = {}) {
+    const store = getStore();
+    const src = store.templates.find(x => x.id === id);
+    if (!src) return false;
+    const t = {
+      id: uid(),
+      name: `${src.name} (copy)`,
+      subject: src.subject || '',
+      content: src.content,
+      format: BODY_FORMATS.includes(src.format) ? src.format : 'text',
+      folderId: folderId !== undefined ? folderId : (src.folderId || null),
+      createdAt: nowISO(),
+      updatedAt: nowISO()
+    };
+    if (src.tags && src.tags.length) t.tags = src.tags.slice();
+    store.templates.push(t);
+    saveStore(store);
+    return t;
+  }
+
+  // -------------------------------
+  // Revisions
+  // -------------------------------
+  const REVISION_FIELDS = ['name', 'subject', 'content', 'format'];
+
+  function snapshotTemplate(t) {
+    return {
+      id: uid(),
+      savedAt: t.updatedAt || t.createdAt || nowISO(),
+      name: t.name,
+      subject: t.subject || '',
+      content: t.content || '',
+      format: t.format || 'text'
+    };
+  }
+
+  // Newest first
+  function listRevisions(templateId) {
+    const t = readStore().templates.find(x => x.id === templateId);
+    return t ? clone(t.revisions || []).reverse() : [];
+  }
+
+  // Restoring is itself a save, so the version being replaced lands in history too
+  function restoreRevision(templateId, revisionId) {
+    const t = readStore().templates.find(x => x.id === templateId);
+    const rev = t && (t.revisions || []).find(r => r.id === revisionId);
+    if (!rev) return false;
+    return updateTemplate(templateId, {
+      name: rev.name,
+      subject: rev.subject,
+      content: rev.content,
+      format: rev.format
+    });
+  }
 
+  // Line diff (LCS). Returns [{ type: 'same' | 'add' | 'del', text }]
+  function diffLines(oldText, newText) {
+    const a = String(oldText || '').split('\n');
+    const b = String(newText || '').split('\n');
+    const n = a.length;
+    const m = b.length;
+    // lcs[i][j] = length of the LCS of a[i..] and b[j..]
+    const lcs = Array.from({ length: n + 1 }, () => new Array(m + 1).fill(0));
+    for (let i = n - 1; i >= 0; i--) {
+      for (let j = m - 1; j >= 0; j--) {
+        lcs[i][j] = a[i] === b[j] ? lcs[i + 1][j + 1] + 1 : Math.max(lcs[i + 1][j], lcs[i][j + 1]);
+      }
+    }
+    const out = [];
+    let i = 0;
+    let j = 0;
+    while (i < n && j < m) {
+      if (a[i] === b[j]) { out.push({ type: 'same', text: a[i] }); i++; j++; }
+      else if (lcs[i + 1][j] >= lcs[i][j + 1]) out.push({ type: 'del', text: a[i++] });
+      else out.push({ type: 'add', text: b[j++] });
+    }
+    while (i < n) out.push({ type: 'del', text: a[i++] });
+    while (j < m) out.push({ type: 'add', text: b[j++] });
+    return out;
+  }
+
+  // Moves the template to the trash. Returns the trash entry id (or false).
   function deleteTemplate(id) {
     const store = getStore();
     const i = store.templates.findIndex(x => x.id === id);
     if (i === -1) return false;
-    store.templates.splice(i, 1);
+    const [template] = store.templates.splice(i, 1);
+    const entry = { id: uid(), kind: 'template', deletedAt: nowISO(), template };
+    store.trash.push(entry);
+    saveStore(store);
+    return entry.id;
+  }
+
+  // -------------------------------
+  // Trash
+  // -------------------------------
+  const DEFAULT_TRASH_DAYS = 30;
+
+  // Newest first
+  function listTrash() {
+    return clone(readStore().trash).reverse();
+  }
+
+  function trashRetentionDays() {
+    const days = Number(readStore().settings.trashRetentionDays);
+    return days > 0 ? days : DEFAULT_TRASH_DAYS;
+  }
+
+  function setTrashRetentionDays(days) {
+    const store = getStore();
+    store.settings.trashRetentionDays = Math.max(1, Math.round(Number(days) || DEFAULT_TRASH_DAYS));
+    saveStore(store);
+    return store.settings.trashRetentionDays;
+  }
+
+  // Put a trashed item back. A restored folder gets its trashed templates back,
+  // and templates that were moved to "No folder" on delete rejoin it if still unfiled.
+  function restoreFromTrash(entryId) {
+    const store = getStore();
+    const i = store.trash.findIndex(x => x.id === entryId);
+    if (i === -1) return false;
+    const [entry] = store.trash.splice(i, 1);
+    const folderIds = new Set(store.folders.map(f => f.id));
+
+    if (entry.kind === 'template') {
+      const t = entry.template;
+      if (t.folderId && !folderIds.has(t.folderId)) t.folderId = null;
+      store.templates.push(t);
+    } else {
+      const parentId = entry.folder.parentId && folderIds.has(entry.folder.parentId) ? entry.folder.parentId : null;
+      store.folders.push({ ...entry.folder, parentId });
+      for (const f of entry.subfolders || []) store.folders.push(f);
+      const restoredIds = new Set(store.folders.map(f => f.id));
+
+      for (const t of entry.templates) {
+        store.templates.push({ ...t, folderId: restoredIds.has(t.folderId) ? t.folderId : entry.folder.id });
+      }
+      // Older entries only recorded ids of kept templates (all from the one folder)
+      const kept = entry.keptTemplates || (entry.keptTemplateIds || []).map(tid => ({ id: tid, folderId: entry.folder.id }));
+      for (const k of kept) {
+        const t = store.templates.find(x => x.id === k.id);
+        if (t && t.folderId === null) t.folderId = k.folderId;
+      }
+      // Subfolders that moved up a level go back under the restored folder
+      for (const f of store.folders) {
+        if ((entry.reparentedFolderIds || []).includes(f.id) && f.parentId === parentId) f.parentId = entry.folder.id;
+      }
+    }
+    saveStore(store);
+    return true;
+  }
+
+  function purgeTrashEntry(entryId) {
+    const store = getStore();
+    const i = store.trash.findIndex(x => x.id === entryId);
+    if (i === -1) return false;
+    store.trash.splice(i, 1);
+    saveStore(store);
+    return true;
+  }
+
+  function emptyTrash() {
+    const store = getStore();
+    store.trash = [];
+    saveStore(store);
+    return true;
+  }
+
+  // Permanently drop entries older than the retention period. Returns how many went.
+  function purgeExpiredTrash(now = Date.now()) {
+    const store = getStore();
+    const maxAge = trashRetentionDays() * 24 * 60 * 60 * 1000;
+    const keep = store.trash.filter(e => now - new Date(e.deletedAt).getTime() < maxAge);
+    const purged = store.trash.length - keep.length;
+    if (purged) {
+      store.trash = keep;
+      saveStore(store);
+    }
+    return purged;
+  }
+
+  // -------------------------------
+  // Usage log
+  // -------------------------------
+  // { id, templateId, templateName, action, at, values, to, subject, text, html }
+  // One entry per Copy / send action on the Inputs page, newest last. The name
+  // and rendered email are kept so history still reads after a template changes.
+  // The log is bounded by size, not count, so long emails can't fill the
+  // storage quota: past half the budget older entries keep their text but drop
+  // their HTML, and past the full budget the oldest entries go.
+  const MAX_USAGE_CHARS = 1000000;
+  const MAX_USAGE_CHARS_INDEXEDDB = 20000000;
+  const USAGE_ACTIONS = ['copy-subject', 'copy-body', 'mailto', 'eml'];
+
+  function logUsage({ templateId, action, values = {}, to = '', subject = '', text = '', html = null }) {
+    if (!USAGE_ACTIONS.includes(action)) return null;
+    const store = getStore();
+    const t = store.templates.find(x => x.id === templateId);
+    const entry = {
+      id: uid(),
+      templateId: templateId || null,
+      templateName: t ? t.name : '',
+      action,
+      at: nowISO(),
+      values: { ...values },
+      to: String(to || ''),
+      subject: String(subject || ''),
+      text: String(text || ''),
+      html: html || null
+    };
+    store.usage.push(entry);
+    trimUsage(store.usage, usingIndexedDb() ? MAX_USAGE_CHARS_INDEXEDDB : MAX_USAGE_CHARS);
+    saveStore(store);
+    return entry;
+  }
+
+  // In place, newest entries first in line to be kept whole
+  function trimUsage(usage, budget) {
+    let size = 0;
+    for (let i = usage.length - 1; i >= 0; i--) {
+      let entrySize = JSON.stringify(usage[i]).length;
+      if (usage[i].html && size + entrySize > budget / 2) {
+        usage[i].html = null;
+        entrySize = JSON.stringify(usage[i]).length;
+      }
+      if (size + entrySize > budget) {
+        usage.splice(0, i + 1);
+        return;
+      }
+      size += entrySize;
+    }
+  }
+
+  // Newest first; pass templateId for one template's entries
+  function listUsage({ templateId = null, limit = Infinity } = {}) {
+    const all = readStore().usage;
+    const out = [];
+    for (let i = all.length - 1; i >= 0 && out.length < limit; i--) {
+      if (!templateId || all[i].templateId === templateId) out.push(clone(all[i]));
+    }
+    return out;
+  }
+
+  function getUsageEntry(id) {
+    const entry = readStore().usage.find(e => e.id === id);
+    return entry ? clone(entry) : null;
+  }
+
+  function clearUsage() {
+    const store = getStore();
+    store.usage = [];
     saveStore(store);
     return true;
   }
 
-  // Ensure there’s at least one template the very first time
-  ensureSampleTemplate();
+  // Existing templates, most recently used first (each once); `tags` /
+  // `tagMode` narrow them as in listTemplates
+  function recentTemplates(limit = 5, { tags = [], tagMode = 'all' } = {}) {
+    const store = readStore();
+    const wanted = parseTags(tags);
+    const byId = new Map(store.templates.map(t => [t.id, t]));
+    const seen = new Set();
+    const out = [];
+    for (let i = store.usage.length - 1; i >= 0 && out.length < limit; i--) {
+      const id = store.usage[i].templateId;
+      if (!id || seen.has(id)) continue;
+      seen.add(id);
+      const t = byId.get(id);
+      if (t && (!wanted.length || hasTags(t, wanted, tagMode))) out.push(templateCopy(t));
+    }
+    return out;
+  }
+
+  // { [templateId]: { count, lastUsedAt } } — templates never used are absent
+  function usageStats() {
+    const stats = {};
+    for (const e of readStore().usage) {
+      if (!e.templateId) continue;
+      const s = stats[e.templateId] || (stats[e.templateId] = { count: 0, lastUsedAt: null });
+      s.count++;
+      if (!s.lastUsedAt || e.at > s.lastUsedAt) s.lastUsedAt = e.at;
+    }
+    return stats;
+  }
+
+  // -------------------------------
+  // Export / Import
+  // -------------------------------
+  const EXPORT_FORMAT = 'email-templates-library';
+  const EXPORT_VERSION = 1;
+
+  // Snapshot of the library as a plain object, ready for JSON.stringify.
+  // Pass a folderId to export only that folder, its subfolders and their templates (for sharing).
+  function exportLibrary({ folderId = null } = {}) {
+    const store = getStore();
+    const ids = folderId ? new Set([folderId, ...descendantFolderIds(folderId, store.folders)]) : null;
+    const folders = ids
+      ? store.folders.filter(f => ids.has(f.id)).map(f => (f.id === folderId ? { ...f, parentId: null } : f))
+      : store.folders;
+    const templates = ids ? store.templates.filter(t => ids.has(t.folderId)) : store.templates;
+    return {
+      format: EXPORT_FORMAT,
+      exportVersion: EXPORT_VERSION,
+      storeVersion: store.version,
+      exportedAt: nowISO(),
+      folders,
+      templates,
+      fields: store.fields,
+      // Contacts are personal data: full backups only, never folder shares
+      contacts: folderId ? [] : store.contacts,
+      settings: folderId ? {} : store.settings
+    };
+  }
+
+  // Check a parsed import file. Returns { ok, errors, data } where `data` only
+  // holds well-formed records; anything dropped is described in `errors`.
+  function validateImport(obj) {
+    const errors = [];
+    if (!obj || typeof obj !== 'object' || Array.isArray(obj)) {
+      return { ok: false, errors: ['File does not contain a library export.'], data: null };
+    }
+    if (obj.format !== EXPORT_FORMAT) {
+      return { ok: false, errors: ['File is not an Email Templates export.'], data: null };
+    }
+    if (typeof obj.exportVersion !== 'number' || obj.exportVersion > EXPORT_VERSION) {
+      return { ok: false, errors: [`Unsupported export version "${obj.exportVersion}".`], data: null };
+    }
+
+    const isId = v => typeof v === 'string' && v.length > 0;
+    const folders = [];
+    for (const [i, f] of (Array.isArray(obj.folders) ? obj.folders : []).entries()) {
+      if (!f || !isId(f.id) || typeof f.name !== 'string') {
+        errors.push(`Folder #${i + 1} is missing an id or name and was skipped.`);
+        continue;
+      }
+      folders.push({ id: f.id, name: f.name.trim() || 'New Folder', parentId: isId(f.parentId) ? f.parentId : null, createdAt: f.createdAt || nowISO() });
+    }
+
+    const templates = [];
+    for (const [i, t] of (Array.isArray(obj.templates) ? obj.templates : []).entries()) {
+      if (!t || !isId(t.id) || typeof t.content !== 'string') {
+        errors.push(`Template #${i + 1} is missing an id or content and was skipped.`);
+        continue;
+      }
+      const template = {
+        id: t.id,
+        name: String(t.name || '').trim() || 'Untitled Template',
+        subject: String(t.subject || ''),
+        content: t.content,
+        format: BODY_FORMATS.includes(t.format) ? t.format : 'text',
+        folderId: isId(t.folderId) ? t.folderId : null,
+        createdAt: t.createdAt || nowISO(),
+        updatedAt: t.updatedAt || nowISO()
+      };
+      const tags = parseTags(Array.isArray(t.tags) ? t.tags.filter(tag => typeof tag === 'string') : typeof t.tags === 'string' ? t.tags : []);
+      if (tags.length) template.tags = tags;
+      if (t.pinned === true) template.pinned = true;
+      const revisions = importRevisions(t.revisions);
+      if (revisions.length) template.revisions = revisions;
+      templates.push(template);
+    }
+
+    const fields = [];
+    for (const [i, f] of (Array.isArray(obj.fields) ? obj.fields : []).entries()) {
+      if (!f || !FIELD_KEY_RE.test(String(f.key || ''))) {
+        errors.push(`Field #${i + 1} has an invalid key and was skipped.`);
+        continue;
+      }
+      fields.push(normalizeField(f));
+    }
+
+    const contacts = [];
+    for (const [i, c] of (Array.isArray(obj.contacts) ? obj.contacts : []).entries()) {
+      if (!c || !isId(c.id)) {
+        errors.push(`Contact #${i + 1} is missing an id and was skipped.`);
+        continue;
+      }
+      contacts.push({ id: c.id, ...normalizeContact(c), createdAt: c.createdAt || nowISO(), updatedAt: c.updatedAt || nowISO() });
+    }
+
+    const settings = obj.settings && typeof obj.settings === 'object' ? obj.settings : {};
+    return { ok: true, errors, data: { folders, templates, fields, contacts, settings } };
+  }
+
+  // Well-formed revision entries only, newest kept within the history limit
+  function importRevisions(list) {
+    const max = usingIndexedDb() ? MAX_REVISIONS_INDEXEDDB : MAX_REVISIONS;
+    return (Array.isArray(list) ? list : [])
+      .filter(r => r && typeof r === 'object' && typeof r.content === 'string')
+      .map(r => ({
+        id: typeof r.id === 'string' && r.id ? r.id : uid(),
+        savedAt: typeof r.savedAt === 'string' ? r.savedAt : nowISO(),
+        name: String(r.name || ''),
+        subject: String(r.subject || ''),
+        content: r.content,
+        format: BODY_FORMATS.includes(r.format) ? r.format : 'text'
+      }))
+      .slice(-max);
+  }
+
+  // Describe what importLibrary would do with the same options, without
+  // touching the store. Returns { folders, templates, fields, contacts } each as
+  // { added, overwritten, copied, skipped } lists of names; in keepBoth mode
+  // existing records are copied, except fields, which keep the library's version.
+  function previewImport(data, { mode = 'merge', onConflict = 'overwrite' } = {}) {
+    const store = readStore();
+    const describe = (incoming, existing, keyOf, labelOf, { copies = true } = {}) => {
+      const have = new Set(existing.map(keyOf));
+      const out = { added: [], overwritten: [], copied: [], skipped: [] };
+      for (const item of incoming) {
+        let bucket = out.added;
+        if (mode === 'merge' && have.has(keyOf(item))) {
+          if (onConflict !== 'keepBoth') bucket = out.overwritten;
+          else bucket = copies ? out.copied : out.skipped;
+        }
+        bucket.push(labelOf(item));
+      }
+      return out;
+    };
+    const summary = {
+      folders: describe(data.folders, store.folders, f => f.id, f => f.name),
+      templates: describe(data.templates, store.templates, t => t.id, t => t.name),
+      fields: describe(data.fields, store.fields, f => f.key, f => f.key, { copies: false }),
+      contacts: describe(data.contacts, store.contacts, c => c.id, c => c.name)
+    };
+    if (mode === 'replace') {
+      summary.removed = {
+        folders: store.folders.length,
+        templates: store.templates.length,
+        contacts: store.contacts.length
+      };
+    }
+    return summary;
+  }
+
+  // mode:
+  // - 'merge' (default): add incoming records to the library
+  // - 'replace': discard the current library and use the file's contents
+  // onConflict (merge only, for folders/templates whose id already exists):
+  // - 'overwrite' (default): incoming record replaces the existing one
+  // - 'keepBoth': incoming record is added under a new id
+  function importLibrary(data, { mode = 'merge', onConflict = 'overwrite' } = {}) {
+    const store = getStore();
+
+    if (mode === 'replace') {
+      const ids = new Set(data.folders.map(f => f.id));
+      store.folders = data.folders.map(f => ({ ...f, parentId: ids.has(f.parentId) ? f.parentId : null }));
+      store.templates = data.templates.map(t => ({ ...t, folderId: ids.has(t.folderId) ? t.folderId : null }));
+      store.fields = data.fields.length ? data.fields.map(f => ({ ...f })) : defaultFields();
+      store.contacts = data.contacts.map(c => ({ ...c }));
+      store.settings = { ...data.settings, sampleSeeded: true };
+      saveStore(store);
+      return { folders: store.folders.length, templates: store.templates.length, fields: store.fields.length, contacts: store.contacts.length };
+    }
+
+    const counts = { folders: 0, templates: 0, fields: 0, contacts: 0 };
+    const folderIdMap = new Map(); // imported id -> id in this library
+
+    for (const f of data.folders) {
+      const i = store.folders.findIndex(x => x.id === f.id);
+      if (i === -1) {
+        store.folders.push({ ...f });
+        folderIdMap.set(f.id, f.id);
+      } else if (onConflict === 'keepBoth') {
+        const copy = { ...f, id: uid() };
+        store.folders.push(copy);
+        folderIdMap.set(f.id, copy.id);
+      } else {
+        store.folders[i] = { ...f };
+        folderIdMap.set(f.id, f.id);
+      }
+      counts.folders++;
+    }
+
+    // Point imported subfolders at their (possibly re-id'd) parents
+    const folderIds = new Set(store.folders.map(f => f.id));
+    for (const f of data.folders) {
+      const stored = store.folders.find(x => x.id === folderIdMap.get(f.id));
+      const parent = f.parentId ? (folderIdMap.get(f.parentId) || f.parentId) : null;
+      if (stored) stored.parentId = parent && folderIds.has(parent) && parent !== stored.id ? parent : null;
+    }
+
+    for (const t of data.templates) {
+      const mappedFolder = t.folderId ? (folderIdMap.get(t.folderId) || t.folderId) : null;
+      const next = { ...t, folderId: mappedFolder && folderIds.has(mappedFolder) ? mappedFolder : null };
+      const i = store.templates.findIndex(x => x.id === t.id);
+      if (i === -1) {
+        store.templates.push(next);
+      } else if (onConflict === 'keepBoth') {
+        store.templates.push({ ...next, id: uid() });
+      } else {
+        store.templates[i] = next;
+      }
+      counts.templates++;
+    }
+
+    // Fields are keyed by name, so an incoming field with a known key just
+    // updates it; keepBoth leaves the library's field alone
+    for (const f of data.fields) {
+      const i = store.fields.findIndex(x => x.key === f.key);
+      if (i === -1) store.fields.push({ ...f });
+      else if (onConflict === 'overwrite') store.fields[i] = { ...f };
+      else continue;
+      counts.fields++;
+    }
+
+    for (const c of data.contacts) {
+      const i = store.contacts.findIndex(x => x.id === c.id);
+      if (i === -1) store.contacts.push({ ...c });
+      else if (onConflict === 'keepBoth') store.contacts.push({ ...c, id: uid() });
+      else store.contacts[i] = { ...c };
+      counts.contacts++;
+    }
+
+    saveStore(store);
+    return counts;
+  }
+
+  // -------------------------------
+  // Drafts (editor autosave)
+  // -------------------------------
+  // Unsaved editor state lives under its own key per slot (e.g. "builder:new",
+  // "builder:<id>", "library") so autosaving never touches the library itself.
+  const DRAFT_KEY_PREFIX = 'emailTemplates.draft.';
+
+  function saveDraft(slot, draft) {
+    try {
+      localStorage.setItem(DRAFT_KEY_PREFIX + slot, JSON.stringify({ ...draft, savedAt: nowISO() }));
+      return true;
+    } catch {
+      return false;
+    }
+  }
+
+  // Returns the saved draft ({ ..., savedAt }) or null
+  function loadDraft(slot) {
+    try {
+      const draft = JSON.parse(localStorage.getItem(DRAFT_KEY_PREFIX + slot));
+      return draft && typeof draft === 'object' ? draft : null;
+    } catch {
+      return null;
+    }
+  }
+
+  function clearDraft(slot) {
+    localStorage.removeItem(DRAFT_KEY_PREFIX + slot);
+  }
+
+  // Saved drafts whose slot starts with `prefix`, newest first: [{ slot, draft }]
+  function listDrafts(prefix = '') {
+    const out = [];
+    for (let i = 0; i < localStorage.length; i++) {
+      const key = localStorage.key(i);
+      if (!key || !key.startsWith(DRAFT_KEY_PREFIX + prefix)) continue;
+      const slot = key.slice(DRAFT_KEY_PREFIX.length);
+      const draft = loadDraft(slot);
+      if (draft) out.push({ slot, draft });
+    }
+    return out.sort((a, b) => String(b.draft.savedAt || '').localeCompare(String(a.draft.savedAt || '')));
+  }
+
+  // -------------------------------
+  // Startup
+  // -------------------------------
+  // Upgrade a loaded store in place. When that changes anything, returns the
+  // report plus a backup record holding the store as it was; else null.
+  function prepareUpgrade(store) {
+    const original = clone(store);
+    const report = upgradeStore(store);
+    if (!report.changed) return null;
+    const backup = {
+      createdAt: nowISO(),
+      fromVersion: report.fromVersion,
+      toVersion: report.toVersion,
+      migrations: report.migrations,
+      repairs: report.repairs,
+      store: original
+    };
+    return { report, backup };
+  }
+
+  // A stored library that can't be read at all: start a new one, keeping the
+  // unreadable text (`raw`) as the backup
+  function prepareRecovery(raw) {
+    const repairs = ['The saved library could not be read, so a new one was started. The unreadable data is kept in the backup.'];
+    const report = { fromVersion: null, toVersion: STORE_VERSION, migrations: [], repairs, changed: true, unreadable: true };
+    const backup = { createdAt: nowISO(), fromVersion: null, toVersion: STORE_VERSION, migrations: [], repairs, raw };
+    return { report, backup };
+  }
+
+  function backupFailed(upgrade, err) {
+    upgrade.report.backedUp = false;
+    console.warn('Could not keep a copy of the library from before the upgrade.', err);
+  }
+
+  // info: { movedFromLocalStorage, upgrade } for ETCore.ready
+  function start(store, info) {
+    setCache(store || emptyStore());
+    loaded = true;
+    // Write the upgraded / repaired library back
+    if (info.upgrade) {
+      rewriteAll = true;
+      saveStore(getStore());
+    }
+    // Ensure there’s at least one template the very first time
+    ensureSampleTemplate();
+    // …and drop trash entries past their retention period
+    purgeExpiredTrash();
+    return { backend: backend.name, ...info };
+  }
+
+  function startLocalStorage() {
+    backend = localBackend;
+    const store = localBackend.load();
+    const unreadable = localBackend.unreadable;
+    const upgrade = store ? prepareUpgrade(store) : unreadable !== null ? prepareRecovery(unreadable) : null;
+    if (upgrade) {
+      upgrade.report.backedUp = true;
+      try { localBackend.saveBackup(upgrade.backup); }
+      catch (err) {
+        backupFailed(upgrade, err);
+        if (!store) localBackend.locked = true;
+      }
+    }
+    return start(store, { movedFromLocalStorage: false, upgrade: upgrade ? upgrade.report : null });
+  }
+
+  // The first time, the library moves over from localStorage; the old keys are
+  // only removed once IndexedDB holds the copy. Falls back to localStorage when
+  // IndexedDB can't be opened (e.g. some private browsing modes).
+  async function startIndexedDb(idb) {
+    const db = indexedDbBackend(idb);
+    let store;
+    let upgrade = null;
+    let movedFromLocalStorage = false;
+    try {
+      store = await db.load();
+      const legacy = store ? null : localBackend.load();
+      const unreadable = store ? null : localBackend.unreadable;
+      if (legacy) store = legacy;
+      upgrade = store ? prepareUpgrade(store) : unreadable !== null ? prepareRecovery(unreadable) : null;
+      if (upgrade) {
+        upgrade.report.backedUp = true;
+        try { await db.saveBackup(upgrade.backup); }
+        catch (err) { backupFailed(upgrade, err); }
+      }
+      if (legacy) {
+        const legacyBackup = localBackend.loadBackup();
+        if (legacyBackup && !upgrade) await db.saveBackup(legacyBackup);
+        await db.write(store, null);
+        localStorage.removeItem(STORAGE_KEY);
+        localStorage.removeItem(REVISION_KEY);
+        localBackend.discardBackup();
+        movedFromLocalStorage = true;
+      } else if (unreadable !== null && upgrade.report.backedUp) {
+        localStorage.removeItem(STORAGE_KEY);
+        localStorage.removeItem(REVISION_KEY);
+      }
+    } catch (err) {
+      console.warn('IndexedDB is unavailable; keeping the library in localStorage.', err);
+      return startLocalStorage();
+    }
+    backend = db;
+    listenForOtherTabs();
+    return start(store, { movedFromLocalStorage, upgrade: upgrade ? upgrade.report : null });
+  }
+
+  // Resolves to { backend, movedFromLocalStorage, upgrade } once the library
+  // is loaded; `upgrade` is upgradeStore's report (+ backedUp) or null
+  const ready = root.indexedDB
+    ? startIndexedDb(root.indexedDB)
+    : Promise.resolve(startLocalStorage());
+
+  // The copy of the library kept by the last upgrade / repair:
+  // { createdAt, fromVersion, toVersion, migrations, repairs, store } or null.
+  // When the library could not be read at all, fromVersion is null and `raw`
+  // (the unreadable text) replaces `store`.
+  async function getMigrationBackup() {
+    await ready;
+    return backend.loadBackup();
+  }
+
+  async function discardMigrationBackup() {
+    await ready;
+    await backend.discardBackup();
+  }
 
   // Expose a tiny API for other pages
-  window.ETCore = {
+  const ETCore = {
     // constants
     PLACEHOLDER_KEYS,
+    FIELD_TYPES,
+    BODY_FORMATS,
+    TEMPLATE_SORTS,
+    USAGE_ACTIONS,
 
     // storage
+    ready,
+    STORE_VERSION,
     getStore,
     saveStore,
+    flush,
+    hasPendingWrites,
+    currentRevision,
+    subscribe,
+    onStorageError,
+    storageInfo,
+    getMigrationBackup,
+    discardMigrationBackup,
+    StoreConflictError,
 
     // folders
     listFolders,
     createFolder,
     renameFolder,
     deleteFolder,
+    moveFolder,
     moveTemplatesToFolder,
+    descendantFolderIds,
+    folderPath,
+    listFolderTree,
+
+    // fields
+    listFields,
+    getField,
+    validateField,
+    createField,
+    updateField,
+    deleteField,
+    applyFieldDefaults,
+
+    // contacts
+    listContacts,
+    getContact,
+    createContact,
+    updateContact,
+    deleteContact,
+    importContacts,
+    contactsFromCsv,
+    contactsFromVCard,
+
+    // usage log
+    logUsage,
+    listUsage,
+    getUsageEntry,
+    clearUsage,
+    usageStats,
+    recentTemplates,
+
+    // backup
+    exportLibrary,
+    validateImport,
+    previewImport,
+    importLibrary,
 
     // templates
     listTemplates,
     getTemplate,
     createTemplate,
     updateTemplate,
+    duplicateTemplate,
     deleteTemplate,
+    sortTemplates,
+    setTemplatePinned,
+
+    // tags
+    parseTags,
+    sameTag,
+    listTags,
+    renameTag,
+    mergeTags,
+    deleteTag,
+    searchTemplates,
+    parseSearchQuery,
+    lintTemplate,
+    lintSettings,
+    setLintSettings,
+
+    // trash
+    listTrash,
+    restoreFromTrash,
+    purgeTrashEntry,
+    emptyTrash,
+    purgeExpiredTrash,
+    trashRetentionDays,
+    setTrashRetentionDays,
+
+    // drafts
+    saveDraft,
+    loadDraft,
+    clearDraft,
+    listDrafts,
+
+    // revisions
+    listRevisions,
+    restoreRevision,
+    diffLines,
 
     // render helpers
     render,
+    placeholderKeys,
     missingFields,
+    unknownFilters,
+    scanTags,
+    registerFilter,
+    listFilters,
     formatDate,
-    copyToClipboard
+    formatDatePattern,
+    relativeDate,
+    renderBody,
+    renderPreview,
+    markdownToHtml,
+    sanitizeHtml,
+    htmlToText,
+    escapeHtml,
+    copyToClipboard,
+    downloadFile,
+    dateStamp,
+
+    // mail drafts
+    parseRecipients,
+    buildMailto,
+    buildEml,
+
+    // mail merge
+    parseCsv,
+    toCsv,
+    makeZip
   };
+
+  root.ETCore = ETCore;
+  // CommonJS (Node): const ETCore = require('./core.js')
+  if (typeof module === 'object' && module.exports) module.exports = ETCore;
 })();
@@ -0,0 +1,334 @@
+/* =========================================================
+   editor.js — Template editor shared by builder.html and library.html
+   - Highlights {{…}} tokens behind a <textarea> (known, unknown, invalid)
+   - Autocompletes field keys after "{{" / "{{#if " and filters after "|"
+   - Hovering a token shows its value rendered with the current test data
+   - Plain textarea underneath: undo, IME, spellcheck settings all still work
+   - Exposed at window.ETEditor (needs ETCore)
+   ========================================================= */
+
+(() => {
+  // ---------------------------------
+  // Helpers
+  // ---------------------------------
+  // Styles the backdrop copies so its text lays out exactly like the textarea's
+  const MIRRORED_STYLES = [
+    'fontFamily', 'fontSize', 'fontWeight', 'fontStyle', 'letterSpacing', 'lineHeight',
+    'textTransform', 'wordSpacing', 'textIndent', 'tabSize',
+    'paddingTop', 'paddingRight', 'paddingBottom', 'paddingLeft',
+    'borderTopWidth', 'borderRightWidth', 'borderBottomWidth', 'borderLeftWidth', 'boxSizing'
+  ];
+
+  const MAX_SUGGESTIONS = 8;
+
+  // Balanced {{…}} on one line; anything the engine does not recognise is "invalid"
+  const BRACED_RE = /\{\{[^{}\n]*\}\}/g;
+
+  // What is being typed at the caret: a key after "{{" / "{{#if ", or a filter after "|"
+  function completionContext(before) {
+    let m = /\{\{\s*(#if\s+)?([a-z0-9_]*)$/i.exec(before);
+    if (m) return { kind: 'key', prefix: m[2], start: before.length - m[2].length };
+    m = /\{\{[^{}\n]*\|\s*([a-z]*)$/i.exec(before);
+    if (m) return { kind: 'filter', prefix: m[1], start: before.length - m[1].length };
+    return null;
+  }
+
+  // Known / unknown / invalid tokens with positions, sorted
+  function classifyTokens(text, fieldKeys) {
+    const tags = ETCore.scanTags(text);
+    const starts = new Set(tags.map(t => t.index));
+    const filters = new Set(ETCore.listFilters().map(f => f.name));
+    const tokens = tags.map(t => {
+      const unknownKey = (t.type === 'var' || t.type === 'if') && !fieldKeys.has(t.key);
+      const unknownFilter = t.type === 'var' && t.filters.some(f => !filters.has(f.name));
+      const kind = t.type === 'var' ? 'var' : 'block';
+      return { ...t, kind, state: unknownKey || unknownFilter ? 'unknown' : 'ok' };
+    });
+    for (const m of text.matchAll(BRACED_RE)) {
+      if (!starts.has(m.index)) tokens.push({ index: m.index, length: m[0].length, kind: 'var', state: 'invalid' });
+    }
+    return tokens.sort((a, b) => a.index - b.index);
+  }
+
+  // ---------------------------------
+  // Attach
+  // ---------------------------------
+  // options.fields()      -> field list (defaults to ETCore.listFields)
+  // options.sampleData()  -> values used for hover previews (e.g. Quick Test inputs)
+  // Returns { refresh } — call refresh() after setting textarea.value from code.
+  function attach(textarea, options = {}) {
+    const getFields = options.fields || (() => ETCore.listFields());
+    const getData = options.sampleData || (() => ETCore.applyFieldDefaults({}));
+
+    // Wrapper + highlight backdrop behind the (transparent) textarea
+    const wrap = document.createElement('div');
+    wrap.className = 'hl-wrap';
+    textarea.parentNode.insertBefore(wrap, textarea);
+    const backdrop = document.createElement('div');
+    backdrop.className = 'hl-backdrop';
+    backdrop.setAttribute('aria-hidden', 'true');
+    wrap.appendChild(backdrop);
+    wrap.appendChild(textarea);
+    textarea.classList.add('hl-input');
+
+    // Suggestions list + hover tip
+    const list = document.createElement('ul');
+    list.className = 'ac-list hidden';
+    list.setAttribute('role', 'listbox');
+    list.id = `${textarea.id || 'editor'}_suggestions`;
+    wrap.appendChild(list);
+    textarea.setAttribute('aria-controls', list.id);
+    textarea.setAttribute('aria-autocomplete', 'list');
+
+    const tip = document.createElement('div');
+    tip.className = 'hl-tip hidden';
+    tip.setAttribute('role', 'tooltip');
+    wrap.appendChild(tip);
+
+    let tokens = [];
+    let suggestions = [];
+    let active = 0;
+    let context = null;
+    // Hover tip for the token under the pointer, described once per token (it
+    // renders with the sample data) rather than on every mousemove
+    let hovered = null; // { index, text }
+
+    mirrorStyles();
+
+    // ---------- Highlighting ----------
+    function mirrorStyles() {
+      const cs = getComputedStyle(textarea);
+      for (const prop of MIRRORED_STYLES) backdrop.style[prop] = cs[prop];
+      backdrop.style.borderColor = 'transparent';
+      backdrop.style.borderStyle = 'solid';
+    }
+
+    function renderBackdrop() {
+      hovered = null;
+      const text = textarea.value;
+      const fieldKeys = new Set(getFields().map(f => f.key));
+      tokens = classifyTokens(text, fieldKeys);
+
+      backdrop.innerHTML = '';
+      let pos = 0;
+      for (const tok of tokens) {
+        if (tok.index < pos) continue;
+        if (tok.index > pos) backdrop.appendChild(document.createTextNode(text.slice(pos, tok.index)));
+        const mark = document.createElement('mark');
+        mark.className = `tok tok-${tok.state}${tok.kind === 'block' ? ' tok-block' : ''}`;
+        mark.textContent = text.slice(tok.index, tok.index + tok.length);
+        mark.dataset.index = tok.index;
+        backdrop.appendChild(mark);
+        pos = tok.index + tok.length;
+      }
+      // Trailing newline needs a character after it to take up a line
+      backdrop.appendChild(document.createTextNode(text.slice(pos) + '\n'));
+      syncSize();
+      syncScroll();
+    }
+
+    function syncScroll() {
+      backdrop.scrollTop = textarea.scrollTop;
+      backdrop.scrollLeft = textarea.scrollLeft;
+    }
+
+    // The backdrop fills the wrapper via CSS; only the textarea's scrollbar
+    // needs allowing for so lines wrap at the same width
+    function syncSize() {
+      const cs = getComputedStyle(textarea);
+      const borders = parseFloat(cs.borderLeftWidth) + parseFloat(cs.borderRightWidth);
+      const scrollbar = Math.max(0, textarea.offsetWidth - textarea.clientWidth - borders);
+      backdrop.style.paddingRight = `calc(${cs.paddingRight} + ${scrollbar}px)`;
+    }
+
+    // ---------- Autocomplete ----------
+    function updateSuggestions() {
+      const caret = textarea.selectionStart;
+      if (caret !== textarea.selectionEnd) return closeSuggestions();
+      context = completionContext(textarea.value.slice(0, caret));
+      if (!context) return closeSuggestions();
+
+      const prefix = context.prefix.toLowerCase();
+      const pool = context.kind === 'key'
+        ? getFields().map(f => ({ value: f.key, hint: f.label }))
+        : ETCore.listFilters().map(f => ({ value: f.name, hint: f.description }));
+      suggestions = pool.filter(s => s.value.toLowerCase().startsWith(prefix)).slice(0, MAX_SUGGESTIONS);
+      if (suggestions.length === 0 || (suggestions.length === 1 && suggestions[0].value === context.prefix)) {
+        return closeSuggestions();
+      }
+      active = 0;
+      renderSuggestions();
+    }
+
+    function renderSuggestions() {
+      list.innerHTML = '';
+      suggestions.forEach((s, i) => {
+        const li = document.createElement('li');
+        li.className = 'ac-item';
+        li.id = `${list.id}_${i}`;
+        li.setAttribute('role', 'option');
+        li.setAttribute('aria-selected', String(i === active));
+        const value = document.createElement('span');
+        value.className = 'ac-value';
+        value.textContent = s.value;
+        const hint = document.createElement('span');
+        hint.className = 'ac-hint';
+        hint.textContent = s.hint || '';
+        li.appendChild(value);
+        li.appendChild(hint);
+        // mousedown keeps focus in the textarea
+        li.addEventListener('mousedown', (e) => {
+          e.preventDefault();
+          accept(i);
+        });
+        list.appendChild(li);
+      });
+      textarea.setAttribute('aria-activedescendant', `${list.id}_${active}`);
+      positionAtCaret(list);
+      list.classList.remove('hidden');
+    }
+
+    function closeSuggestions() {
+      suggestions = [];
+      context = null;
+      list.classList.add('hidden');
+      textarea.removeAttribute('aria-activedescendant');
+    }
+
+    function accept(i) {
+      const choice = suggestions[i];
+      if (!choice || !context) return;
+      const value = textarea.value;
+      const caret = textarea.selectionStart;
+      const after = value.slice(caret);
+      // Close the tag for keys unless it is already closed
+      const insert = context.kind === 'key' && !/^\s*(\|[^{}\n]*)?\}\}/.test(after)
+        ? `${choice.value}}}`
+        : choice.value;
+      textarea.setRangeText(insert, context.start, caret, 'end');
+      closeSuggestions();
+      // Let listeners (dirty tracking, lint, previews) see the change
+      textarea.dispatchEvent(new Event('input', { bubbles: true }));
+    }
+
+    // Place an element just below the caret, using a marker in the backdrop
+    function positionAtCaret(el) {
+      const caret = textarea.selectionStart;
+      const text = textarea.value;
+      const probe = backdrop.cloneNode(false);
+      probe.style.position = 'absolute';
+      probe.style.visibility = 'hidden';
+      probe.style.height = 'auto';
+      probe.style.bottom = 'auto';
+      probe.appendChild(document.createTextNode(text.slice(0, caret)));
+      const marker = document.createElement('span');
+      marker.textContent = '\u200b'; // zero-width, just marks the spot
+      probe.appendChild(marker);
+      wrap.appendChild(probe);
+      const top = marker.offsetTop + marker.offsetHeight - textarea.scrollTop;
+      const left = marker.offsetLeft - textarea.scrollLeft;
+      probe.remove();
+      el.style.top = `${Math.min(top, textarea.offsetHeight)}px`;
+      el.style.left = `${Math.max(0, Math.min(left, textarea.offsetWidth - 220))}px`;
+    }
+
+    // ---------- Hover preview ----------
+    function tokenAtPoint(x, y) {
+      for (const mark of backdrop.querySelectorAll('mark')) {
+        for (const r of mark.getClientRects()) {
+          if (x >= r.left && x <= r.right && y >= r.top && y <= r.bottom) return { mark, rect: r };
+        }
+      }
+      return null;
+    }
+
+    function describeToken(index) {
+      const tok = tokens.find(t => t.index === index);
+      if (!tok) return '';
+      if (tok.state === 'invalid') return 'Not a valid placeholder — printed as-is';
+      if (tok.kind === 'block') {
+        if (tok.type !== 'if') return '';
+        const data = getData();
+        const on = String(data[tok.key] ?? '').trim() !== '';
+        return `${tok.key} is ${on ? 'filled — block shown' : 'empty — block hidden'}`;
+      }
+      const source = textarea.value.slice(tok.index, tok.index + tok.length);
+      const warnings = [];
+      const out = ETCore.render(source, getData(), { onWarning: w => warnings.push(w.message) });
+      const value = out.trim() ? `"${out}"` : '(empty)';
+      return [`${tok.key} → ${value}`, ...warnings].join('\n');
+    }
+
+    function onHover(e) {
+      const hit = tokenAtPoint(e.clientX, e.clientY);
+      const index = hit ? Number(hit.mark.dataset.index) : null;
+      if (!hovered || hovered.index !== index) hovered = { index, text: hit ? describeToken(index) : '' };
+      const text = hovered.text;
+      if (!text) {
+        tip.classList.add('hidden');
+        return;
+      }
+      const box = wrap.getBoundingClientRect();
+      tip.textContent = text;
+      tip.style.left = `${hit.rect.left - box.left}px`;
+      tip.style.top = `${hit.rect.bottom - box.top + 4}px`;
+      tip.classList.remove('hidden');
+    }
+
+    function hideTip() {
+      hovered = null;
+      tip.classList.add('hidden');
+    }
+
+    // ---------- Events ----------
+    textarea.addEventListener('input', () => {
+      renderBackdrop();
+      updateSuggestions();
+    });
+    textarea.addEventListener('scroll', () => {
+      syncScroll();
+      if (!list.classList.contains('hidden')) positionAtCaret(list);
+    });
+    textarea.addEventListener('keydown', (e) => {
+      if (list.classList.contains('hidden')) return;
+      if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+        e.preventDefault();
+        active = (active + (e.key === 'ArrowDown' ? 1 : -1) + suggestions.length) % suggestions.length;
+        renderSuggestions();
+      } else if (e.key === 'Enter' || e.key === 'Tab') {
+        e.preventDefault();
+        accept(active);
+      } else if (e.key === 'Escape') {
+        e.preventDefault();
+        e.stopPropagation(); // don't close a surrounding dialog/editor
+        closeSuggestions();
+      }
+    });
+    textarea.addEventListener('click', closeSuggestions);
+    textarea.addEventListener('blur', () => {
+      closeSuggestions();
+      hideTip();
+    });
+    textarea.addEventListener('mousemove', onHover);
+    textarea.addEventListener('mouseleave', hideTip);
+
+    // Follow textarea resizes (drag handle, layout changes)
+    if (typeof ResizeObserver === 'function') {
+      new ResizeObserver(() => {
+        syncSize();
+        syncScroll();
+      }).observe(textarea);
+    }
+
+    renderBackdrop();
+
+    return {
+      refresh() {
+        closeSuggestions();
+        renderBackdrop();
+      }
+    };
+  }
+
+  window.ETEditor = { attach };
+})();
@@ -1,22 +1,46 @@
 /* =========================================================
    index.js — Inputs + Live Preview page logic
-   - Loads templates from localStorage (ETCore)
-   - Renders SUBJECT and BODY separately
+   - Loads templates from the library (ETCore)
+   - Searchable template picker (combobox) with pinned and recently used
+     templates on top, optionally narrowed to one tag; pin / unpin the
+     selected template
+   - Builds the input boxes from the placeholder field registry
+   - Saved contacts: pick one to fill the inputs (+ To), save/update/delete,
+     search, and import from CSV or vCard
+   - Renders SUBJECT and BODY separately (body may be Markdown/HTML)
    - Counts missing fields (subject + body)
-   - Clear and Copy actions (two buttons)
+   - Clear and Copy actions (two buttons; body copies as HTML + text)
+   - Open in mail app (mailto:) and Download .eml draft
+   - History: each Copy / send is logged (template, time, inputs, rendered
+     email); re-open a past email or load its inputs again
+   - Mail merge: CSV rows -> per-row previews + CSV/JSON/.eml zip export
    - Remembers last-used template + inputs (optional)
+   - Re-renders when another tab saves (ETCore.subscribe): field inputs,
+     picker, tags, contacts, preview, merge and history; "Update contact"
+     confirms before overwriting a contact another tab changed
    ========================================================= */
 
-document.addEventListener('DOMContentLoaded', () => {
+document.addEventListener('DOMContentLoaded', async () => {
+  // The library loads asynchronously (IndexedDB); wait before touching it
+  await ETCore.ready;
+
   // ---------- Elements ----------
   const els = {
-    firstName:   document.getElementById('firstName'),
-    spokeTo:     document.getElementById('spokeTo'),
-    company:     document.getElementById('companyName'),
-    competitor:  document.getElementById('competitor'),
-    date1:       document.getElementById('date1'),
-    date2:       document.getElementById('date2'),
-    templateSel: document.getElementById('templateSelect'),
+    fieldInputs: document.getElementById('fieldInputs'),
+
+    // Contacts
+    contactSearch:     document.getElementById('contactSearch'),
+    contactSelect:     document.getElementById('contactSelect'),
+    saveContactBtn:    document.getElementById('saveContactBtn'),
+    updateContactBtn:  document.getElementById('updateContactBtn'),
+    deleteContactBtn:  document.getElementById('deleteContactBtn'),
+    importContactsBtn: document.getElementById('importContactsBtn'),
+    contactFile:       document.getElementById('contactFile'),
+    contactNote:       document.getElementById('contactNote'),
+    templatePicker:  document.getElementById('templatePicker'),
+    templateOptions: document.getElementById('templateOptions'),
+    pinTemplateBtn:  document.getElementById('pinTemplateBtn'),
+    templateTagFilter: document.getElementById('templateTagFilter'),
     clearBtn:    document.getElementById('clearBtn'),
 
     copySubjectBtn: document.getElementById('copySubjectBtn'),
@@ -25,27 +49,92 @@ document.addEventListener('DOMContentLoaded', () => {
     subjectPreview: document.getElementById('subjectPreview'),
     bodyPreview:    document.getElementById('bodyPreview'),
     emptyState:     document.getElementById('emptyState'),
-    missing:        document.getElementById('missingBadge')
+    mailTo:         document.getElementById('mailTo'),
+    mailCc:         document.getElementById('mailCc'),
+    mailBcc:        document.getElementById('mailBcc'),
+    mailtoBtn:      document.getElementById('mailtoBtn'),
+    emlBtn:         document.getElementById('emlBtn'),
+    mailNote:       document.getElementById('mailNote'),
+
+    // History
+    historySelectedOnly: document.getElementById('historySelectedOnly'),
+    historySummary:      document.getElementById('historySummary'),
+    clearHistoryBtn:     document.getElementById('clearHistoryBtn'),
+    historyEmpty:        document.getElementById('historyEmpty'),
+    historyResults:      document.getElementById('historyResults'),
+    historyTable:        document.getElementById('historyTable'),
+    historyMeta:         document.getElementById('historyMeta'),
+    historyLoadBtn:      document.getElementById('historyLoadBtn'),
+    historyEmlBtn:       document.getElementById('historyEmlBtn'),
+    historySubject:      document.getElementById('historySubject'),
+    historyBody:         document.getElementById('historyBody'),
+
+    // Mail merge
+    mergeCsv:       document.getElementById('mergeCsv'),
+    mergeLoadBtn:   document.getElementById('mergeLoadBtn'),
+    mergeUploadBtn: document.getElementById('mergeUploadBtn'),
+    mergeFile:      document.getElementById('mergeFile'),
+    mergeClearBtn:  document.getElementById('mergeClearBtn'),
+    mergeSummary:   document.getElementById('mergeSummary'),
+    mergeResults:   document.getElementById('mergeResults'),
+    mergeTable:     document.getElementById('mergeTable'),
+    mergePrevBtn:   document.getElementById('mergePrevBtn'),
+    mergeNextBtn:   document.getElementById('mergeNextBtn'),
+    mergePosition:  document.getElementById('mergePosition'),
+    mergeCsvBtn:    document.getElementById('mergeCsvBtn'),
+    mergeJsonBtn:   document.getElementById('mergeJsonBtn'),
+    mergeZipBtn:    document.getElementById('mergeZipBtn'),
+    mergeSubject:   document.getElementById('mergeSubject'),
+    mergeBody:      document.getElementById('mergeBody'),
+    missing:        document.getElementById('missingBadge'),
+    warnings:       document.getElementById('warningBadge')
   };
 
   // ---------- State / Cache keys ----------
   const CACHE_KEY_INPUTS = 'emailTemplates.index.inputs';
   const CACHE_KEY_TPLID  = 'emailTemplates.index.templateId';
 
+  let fields = ETCore.listFields();
+
   const state = {
     selectedTemplateId: localStorage.getItem(CACHE_KEY_TPLID) || '',
-    inputs: loadInputsCache()
+    inputs: loadInputsCache(),
+    subject: '',                   // last rendered subject
+    body: { text: '', html: null }, // last rendered body, used by Copy Body
+    merge: { headers: [], rows: [], index: 0 },
+    historyId: '',                 // usage entry shown in the History card
+    contact: null,                 // picked contact as loaded (spots edits from other tabs)
+    picker: { items: [], active: -1 } // template ids listed in the open picker
+  };
+
+  // CSV columns that provide the To address for merged emails
+  const RECIPIENT_COLUMNS = ['email', 'to', 'email_address'];
+
+  // Groups at the top of the (unfiltered) template picker
+  const RECENT_LIMIT = 5;
+
+  // History rows shown (the log itself keeps more, see ETCore.logUsage)
+  const HISTORY_LIMIT = 50;
+  const ACTION_LABELS = {
+    'copy-subject': 'Copied subject',
+    'copy-body': 'Copied body',
+    mailto: 'Opened in mail app',
+    eml: 'Downloaded .eml'
   };
 
   // ---------- Init ----------
-  buildTemplateOptions();
+  buildFieldInputs();
   hydrateInputs(state.inputs);
-  if (state.selectedTemplateId) {
-    els.templateSel.value = state.selectedTemplateId;
-  }
+  wireTemplatePicker();
   wireInputListeners();
   wireActions();
+  wireContacts();
+  wireHistory();
+  wireMerge();
   refreshPreview();
+  renderHistory();
+  ETCore.subscribe(change => { if (change.remote) syncFromOtherTab(); });
+  ETCore.onStorageError(problem => alert(problem.message));
 
   // ========================================================
   // Functions
@@ -55,7 +144,7 @@ document.addEventListener('DOMContentLoaded', () => {
     try {
       const raw = localStorage.getItem(CACHE_KEY_INPUTS);
       const obj = JSON.parse(raw || '{}');
-      const allowed = new Set(ETCore.PLACEHOLDER_KEYS);
+      const allowed = new Set(fields.map(f => f.key));
       return Object.fromEntries(Object.entries(obj).filter(([k]) => allowed.has(k)));
     } catch {
       return {};
@@ -74,36 +163,76 @@ document.addEventListener('DOMContentLoaded', () => {
     } catch {}
   }
 
-  function buildTemplateOptions() {
-    els.templateSel.querySelectorAll('option:not([value=""])').forEach(o => o.remove());
+  // Rebuild the inputs when another tab changed the field registry, keeping
+  // what has been typed
+  function syncFieldInputs() {
+    const latest = ETCore.listFields();
+    if (JSON.stringify(latest) === JSON.stringify(fields)) return;
+    const values = collectInputs();
+    fields = latest;
+    buildFieldInputs();
+    hydrateInputs(values);
+    wireInputListeners();
+  }
 
-    const folders = ETCore.listFolders();
-    const folderNameById = new Map(folders.map(f => [f.id, f.name]));
-    const templates = ETCore.listTemplates();
+  function buildFieldInputs() {
+    els.fieldInputs.innerHTML = '';
+    for (const f of fields) {
+      const wrap = document.createElement('div');
+      wrap.className = 'field';
 
-    for (const t of templates) {
-      const opt = document.createElement('option');
-      opt.value = t.id;
-      opt.textContent = t.folderId ? `${folderNameById.get(t.folderId) || 'Folder' } / ${t.name}` : t.name;
-      els.templateSel.appendChild(opt);
+      const id = `field_${f.key}`;
+      const label = document.createElement('label');
+      label.className = 'label';
+      label.htmlFor = id;
+      label.textContent = f.label;
+
+      const input = document.createElement('input');
+      input.className = 'input';
+      input.id = id;
+      input.name = f.key;
+      input.type = inputTypeFor(f);
+      input.placeholder = f.placeholder || (f.defaultValue ? `Default: ${f.defaultValue}` : '');
+      input.dataset.field = f.key;
+      input.setAttribute('autocomplete', 'off');
+      input.setAttribute('autocorrect', 'off');
+      input.setAttribute('autocapitalize', 'none');
+      input.spellcheck = false;
+
+      wrap.appendChild(label);
+      wrap.appendChild(input);
+
+      if (f.help) {
+        const help = document.createElement('div');
+        help.className = 'helper';
+        help.textContent = f.help;
+        wrap.appendChild(help);
+      }
+      els.fieldInputs.appendChild(wrap);
     }
   }
 
+  // Dates stay free text so values like "next Tuesday" pass straight through render
+  function inputTypeFor(field) {
+    if (field.type === 'url') return 'url';
+    if (field.type === 'number') return 'number';
+    return 'text';
+  }
+
   function hydrateInputs(obj) {
-    if (obj.first_name   !== undefined) els.firstName.value = obj.first_name;
-    if (obj.spoke_to     !== undefined) els.spokeTo.value   = obj.spoke_to;
-    if (obj.company_name !== undefined) els.company.value   = obj.company_name;
-    if (obj.competitor   !== undefined) els.competitor.value= obj.competitor;
-    if (obj.date_1       !== undefined) els.date1.value     = obj.date_1;
-    if (obj.date_2       !== undefined) els.date2.value     = obj.date_2;
+    document.querySelectorAll('[data-field]').forEach(input => {
+      const val = obj[input.dataset.field];
+      if (val !== undefined) input.value = val;
+    });
   }
 
   function collectInputs() {
+    const typeByKey = new Map(fields.map(f => [f.key, f.type]));
     const data = {};
     document.querySelectorAll('[data-field]').forEach(input => {
       const key = input.dataset.field;
       let val = input.value || '';
-      if (!key.startsWith('date_')) val = val.trim();
+      if (typeByKey.get(key) !== 'date') val = val.trim();
       data[key] = val;
     });
     return data;
@@ -115,13 +244,24 @@ document.addEventListener('DOMContentLoaded', () => {
     return ETCore.getTemplate(id);
   }
 
-  function applyPreviews(subjectOut, bodyOut) {
+  function applyPreviews(subjectOut, body) {
     const hasSubject = subjectOut && subjectOut.trim().length > 0;
-    const hasBody    = bodyOut && bodyOut.trim().length > 0;
+    const hasBody    = body.text && body.text.trim().length > 0;
     const hasAny     = hasSubject || hasBody;
 
     els.subjectPreview.textContent = hasSubject ? subjectOut : '';
-    els.bodyPreview.textContent    = hasBody ? bodyOut : '';
+    // Rich bodies preview formatted; renderBody has already sanitised the HTML
+    if (hasBody && body.html) {
+      els.bodyPreview.innerHTML = body.html;
+      els.bodyPreview.classList.add('rich');
+    } else {
+      els.bodyPreview.textContent = hasBody ? body.text : '';
+      els.bodyPreview.classList.remove('rich');
+    }
+    state.subject = hasSubject ? subjectOut : '';
+    state.body = hasBody ? body : { text: '', html: null };
+    els.mailtoBtn.disabled = !hasAny;
+    els.emlBtn.disabled = !hasAny;
 
     els.copySubjectBtn.disabled = !hasSubject;
     els.copyBodyBtn.disabled    = !hasBody;
@@ -139,28 +279,698 @@ document.addEventListener('DOMContentLoaded', () => {
     els.missing.title = miss.length ? `Missing: ${miss.join(', ')}` : 'All placeholders filled';
   }
 
+  function updateWarningBadge(warnings) {
+    const unique = Array.from(new Set(warnings));
+    els.warnings.textContent = `Warnings: ${unique.length}`;
+    els.warnings.title = unique.join('\n');
+    els.warnings.classList.toggle('hidden', unique.length === 0);
+  }
+
   function refreshPreview() {
     state.inputs = collectInputs();
     saveInputsCache();
 
     const tpl = getSelectedTemplate();
     if (!tpl) {
-      applyPreviews('', '');
+      applyPreviews('', { text: '', html: null });
       updateMissingBadge('', state.inputs);
+      updateWarningBadge([]);
       return;
     }
 
     const subjectStr = tpl.subject || '';
     const bodyStr    = tpl.content || '';
 
-    const subjectOut = ETCore.render(subjectStr, state.inputs);
-    const bodyOut    = ETCore.render(bodyStr, state.inputs);
+    // Blank inputs fall back to each field's default value
+    const data = ETCore.applyFieldDefaults(state.inputs);
+
+    // Collect render warnings (e.g. unknown filters) for the badge
+    const warnings = [];
+    const onWarning = w => warnings.push(w.message);
+
+    const subjectOut = ETCore.render(subjectStr, data, { onWarning });
+    const bodyOut    = ETCore.renderBody(bodyStr, data, { onWarning, format: tpl.format });
 
     applyPreviews(subjectOut, bodyOut);
+    updateWarningBadge(warnings);
 
     // Count missing fields across both templates
     const combinedTemplateForMissing = `${subjectStr}\n${bodyStr}`;
-    updateMissingBadge(combinedTemplateForMissing, state.inputs);
+    updateMissingBadge(combinedTemplateForMissing, data);
+  }
+
+  // ========================================================
+  // Cross-tab sync
+  // ========================================================
+  // Another tab saved: re-read templates, tags and contacts. Typed inputs stay.
+  function syncFromOtherTab() {
+    syncFieldInputs();
+    populateTagFilter();
+    updatePinButton();
+    if (els.templateOptions.classList.contains('hidden')) {
+      els.templatePicker.value = pickerLabel(getSelectedTemplate());
+    } else {
+      renderPickerOptions();
+    }
+    renderContactOptions();
+    refreshPreview();
+    refreshMerge();
+    renderHistory();
+  }
+
+  // ========================================================
+  // Template picker (combobox)
+  // ========================================================
+  function wireTemplatePicker() {
+    els.templatePicker.value = pickerLabel(getSelectedTemplate());
+    updatePinButton();
+    populateTagFilter();
+
+    els.templateTagFilter.addEventListener('change', () => {
+      els.templatePicker.focus();
+      openPicker();
+    });
+
+    els.templatePicker.addEventListener('focus', () => {
+      els.templatePicker.select();
+      openPicker();
+    });
+    els.templatePicker.addEventListener('input', () => openPicker());
+    els.templatePicker.addEventListener('blur', () => closePicker());
+
+    els.templatePicker.addEventListener('keydown', (e) => {
+      const isOpen = !els.templateOptions.classList.contains('hidden');
+      if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+        e.preventDefault();
+        if (!isOpen) openPicker();
+        else movePickerActive(e.key === 'ArrowDown' ? 1 : -1);
+      } else if (e.key === 'Enter' && isOpen) {
+        e.preventDefault();
+        const id = state.picker.items[state.picker.active];
+        if (id) selectTemplate(id);
+        closePicker();
+      } else if (e.key === 'Escape' && isOpen) {
+        e.preventDefault();
+        closePicker();
+      }
+    });
+
+    // mousedown (not click) so the input keeps focus until the choice is made
+    els.templateOptions.addEventListener('mousedown', (e) => {
+      e.preventDefault();
+      const item = e.target.closest('[data-id]');
+      if (!item) return;
+      selectTemplate(item.dataset.id);
+      closePicker();
+    });
+
+    els.pinTemplateBtn.addEventListener('click', () => {
+      const tpl = getSelectedTemplate();
+      if (!tpl) return;
+      ETCore.setTemplatePinned(tpl.id, !tpl.pinned);
+      updatePinButton();
+    });
+  }
+
+  // "Folder / Sub / Name", as shown in the input once chosen
+  function pickerLabel(t, folderPathById = null) {
+    if (!t) return '';
+    if (!t.folderId) return t.name;
+    const paths = folderPathById || new Map(ETCore.listFolderTree().map(x => [x.folder.id, x.path]));
+    return `${paths.get(t.folderId) || 'Folder'} / ${t.name}`;
+  }
+
+  function openPicker() {
+    renderPickerOptions();
+    els.templateOptions.classList.remove('hidden');
+    els.templatePicker.setAttribute('aria-expanded', 'true');
+  }
+
+  // Puts the chosen template's label back (typing alone never changes the selection)
+  function closePicker() {
+    els.templateOptions.classList.add('hidden');
+    els.templatePicker.setAttribute('aria-expanded', 'false');
+    els.templatePicker.removeAttribute('aria-activedescendant');
+    els.templatePicker.value = pickerLabel(getSelectedTemplate());
+  }
+
+  // Unfiltered: Pinned, Recent, then All templates. While typing: every
+  // template whose "folder / name" label contains all the words, pinned first.
+  function renderPickerOptions() {
+    const folderPathById = new Map(ETCore.listFolderTree().map(x => [x.folder.id, x.path]));
+    const typed = els.templatePicker.value.trim();
+    const query = typed === pickerLabel(getSelectedTemplate(), folderPathById) ? '' : typed.toLowerCase();
+    const tag = els.templateTagFilter.value;
+    const all = ETCore.listTemplates({ sort: 'name', tags: tag ? [tag] : [] });
+
+    const groups = [];
+    if (query) {
+      const words = query.split(/\s+/);
+      const matches = all.filter(t => {
+        const label = pickerLabel(t, folderPathById).toLowerCase();
+        return words.every(w => label.includes(w));
+      });
+      groups.push({ title: '', templates: matches });
+    } else {
+      groups.push({ title: 'Pinned', templates: all.filter(t => t.pinned) });
+      groups.push({ title: 'Recent', templates: ETCore.recentTemplates(RECENT_LIMIT, { tags: tag ? [tag] : [] }) });
+      groups.push({ title: 'All templates', templates: all });
+    }
+
+    els.templateOptions.innerHTML = '';
+    state.picker.items = [];
+    for (const { title, templates } of groups) {
+      if (!templates.length) continue;
+      if (title) {
+        const head = document.createElement('li');
+        head.className = 'ac-group';
+        head.setAttribute('role', 'presentation');
+        head.textContent = title;
+        els.templateOptions.appendChild(head);
+      }
+      for (const t of templates) {
+        const li = document.createElement('li');
+        li.className = 'ac-item';
+        li.id = `templateOption-${state.picker.items.length}`;
+        li.dataset.id = t.id;
+        li.setAttribute('role', 'option');
+
+        const name = document.createElement('span');
+        name.textContent = t.name;
+        if (t.pinned) {
+          const star = document.createElement('span');
+          star.className = 'pin-mark';
+          star.textContent = ' ★';
+          name.appendChild(star);
+        }
+        const hint = document.createElement('span');
+        hint.className = 'ac-hint';
+        hint.textContent = t.folderId ? folderPathById.get(t.folderId) || 'Folder' : '';
+
+        li.appendChild(name);
+        li.appendChild(hint);
+        els.templateOptions.appendChild(li);
+        state.picker.items.push(t.id);
+      }
+    }
+
+    if (!state.picker.items.length) {
+      const empty = document.createElement('li');
+      empty.className = 'ac-empty';
+      empty.textContent = all.length || tag ? 'No templates match.' : 'No saved templates yet.';
+      els.templateOptions.appendChild(empty);
+    }
+
+    // Typing highlights the best match; otherwise start on the current template
+    const current = state.picker.items.indexOf(state.selectedTemplateId);
+    setPickerActive(query ? 0 : current);
+  }
+
+  function populateTagFilter() {
+    const tags = ETCore.listTags();
+    const current = els.templateTagFilter.value;
+    els.templateTagFilter.querySelectorAll('option:not([value=""])').forEach(o => o.remove());
+    for (const { name, count } of tags) {
+      const opt = document.createElement('option');
+      opt.value = name;
+      opt.textContent = `Tag: ${name} (${count})`;
+      els.templateTagFilter.appendChild(opt);
+    }
+    els.templateTagFilter.value = tags.some(t => t.name === current) ? current : '';
+    els.templateTagFilter.classList.toggle('hidden', tags.length === 0);
+  }
+
+  function movePickerActive(delta) {
+    const count = state.picker.items.length;
+    if (!count) return;
+    setPickerActive((state.picker.active + delta + count) % count);
+  }
+
+  function setPickerActive(index) {
+    state.picker.active = index < state.picker.items.length ? index : -1;
+    const options = els.templateOptions.querySelectorAll('[role="option"]');
+    options.forEach((li, i) => li.setAttribute('aria-selected', String(i === state.picker.active)));
+    const active = options[state.picker.active];
+    if (active) {
+      els.templatePicker.setAttribute('aria-activedescendant', active.id);
+      if (active.scrollIntoView) active.scrollIntoView({ block: 'nearest' });
+    } else {
+      els.templatePicker.removeAttribute('aria-activedescendant');
+    }
+  }
+
+  function selectTemplate(id) {
+    state.selectedTemplateId = id;
+    saveTemplateIdCache();
+    els.templatePicker.value = pickerLabel(getSelectedTemplate());
+    updatePinButton();
+    refreshPreview();
+    refreshMerge();
+    if (els.historySelectedOnly.checked) renderHistory();
+  }
+
+  function updatePinButton() {
+    const tpl = getSelectedTemplate();
+    const pinned = Boolean(tpl && tpl.pinned);
+    els.pinTemplateBtn.disabled = !tpl;
+    els.pinTemplateBtn.textContent = pinned ? '★ Pinned' : '☆ Pin';
+    els.pinTemplateBtn.setAttribute('aria-pressed', String(pinned));
+    els.pinTemplateBtn.title = pinned ? 'Unpin this template' : 'Pin this template to the top of the picker';
+  }
+
+  // ========================================================
+  // Contacts
+  // ========================================================
+  function wireContacts() {
+    renderContactOptions();
+
+    els.contactSearch.addEventListener('input', () => renderContactOptions());
+    els.contactSelect.addEventListener('change', () => {
+      const contact = ETCore.getContact(els.contactSelect.value);
+      if (contact) applyContact(contact);
+      state.contact = contact;
+      updateContactButtons();
+    });
+
+    els.saveContactBtn.addEventListener('click', () => {
+      const draft = contactFromInputs();
+      const suggested = [draft.values.first_name, draft.values.company_name].filter(Boolean).join(' — ') || draft.email;
+      const name = prompt('Save these inputs as a contact named:', suggested);
+      if (name === null) return;
+      const contact = ETCore.createContact({ ...draft, name });
+      state.contact = contact;
+      renderContactOptions(contact.id);
+      els.contactNote.textContent = `Saved "${contact.name}".`;
+    });
+
+    els.updateContactBtn.addEventListener('click', () => {
+      const id = els.contactSelect.value;
+      if (!id) return;
+      const expected = state.contact && state.contact.id === id ? state.contact : null;
+      let saved;
+      try {
+        saved = ETCore.updateContact(id, contactFromInputs(), { expected });
+      } catch (err) {
+        if (!(err instanceof ETCore.StoreConflictError)) throw err;
+        const sure = confirm(`"${expected.name}" was changed in another tab after you picked it. Overwrite those changes with these inputs?`);
+        if (!sure) return;
+        saved = ETCore.updateContact(id, contactFromInputs());
+      }
+      if (!saved) {
+        alert('This contact was deleted in another tab.');
+        renderContactOptions();
+        return;
+      }
+      state.contact = ETCore.getContact(id);
+      renderContactOptions(id);
+      els.contactNote.textContent = `Updated "${ETCore.getContact(id).name}".`;
+    });
+
+    els.deleteContactBtn.addEventListener('click', () => {
+      const contact = ETCore.getContact(els.contactSelect.value);
+      if (!contact) return;
+      const sure = confirm(`Delete the contact "${contact.name}"?`);
+      if (!sure) return;
+      ETCore.deleteContact(contact.id);
+      renderContactOptions();
+      els.contactNote.textContent = `Deleted "${contact.name}".`;
+    });
+
+    els.importContactsBtn.addEventListener('click', () => {
+      els.contactFile.value = '';
+      els.contactFile.click();
+    });
+    els.contactFile.addEventListener('change', async () => {
+      const file = els.contactFile.files && els.contactFile.files[0];
+      if (!file) return;
+      const text = await file.text();
+      const isVCard = /\.(vcf|vcard)$/i.test(file.name) || /^\s*BEGIN:VCARD/i.test(text);
+      const contacts = isVCard ? ETCore.contactsFromVCard(text) : ETCore.contactsFromCsv(text);
+      if (contacts.length === 0) {
+        alert(`No contacts found in "${file.name}".`);
+        return;
+      }
+      const { added, updated } = ETCore.importContacts(contacts);
+      renderContactOptions(els.contactSelect.value);
+      els.contactNote.textContent = `Imported ${added} new, updated ${updated}.`;
+    });
+  }
+
+  // Options matching the search box; keeps `selectId` (or the current choice) selected
+  function renderContactOptions(selectId = els.contactSelect.value) {
+    els.contactSelect.querySelectorAll('option:not([value=""])').forEach(o => o.remove());
+    const contacts = ETCore.listContacts(els.contactSearch.value);
+    for (const c of contacts) {
+      const opt = document.createElement('option');
+      opt.value = c.id;
+      opt.textContent = c.email ? `${c.name} <${c.email}>` : c.name;
+      els.contactSelect.appendChild(opt);
+    }
+    els.contactSelect.value = contacts.some(c => c.id === selectId) ? selectId : '';
+    updateContactButtons();
+  }
+
+  function updateContactButtons() {
+    const selected = Boolean(els.contactSelect.value);
+    els.updateContactBtn.disabled = !selected;
+    els.deleteContactBtn.disabled = !selected;
+  }
+
+  // Contact fields replace the inputs; date fields belong to the email, not the
+  // person, so they are kept unless the contact has its own value
+  function applyContact(contact) {
+    const typeByKey = new Map(fields.map(f => [f.key, f.type]));
+    document.querySelectorAll('[data-field]').forEach(input => {
+      const key = input.dataset.field;
+      const value = contact.values[key];
+      if (value !== undefined) input.value = value;
+      else if (typeByKey.get(key) !== 'date') input.value = '';
+    });
+    if (contact.email) els.mailTo.value = contact.email;
+    els.contactNote.textContent = '';
+    refreshPreview();
+  }
+
+  // Current inputs (without dates) + the first To address
+  function contactFromInputs() {
+    const typeByKey = new Map(fields.map(f => [f.key, f.type]));
+    const values = Object.fromEntries(
+      Object.entries(collectInputs()).filter(([key, value]) => value && typeByKey.get(key) !== 'date')
+    );
+    const email = ETCore.parseRecipients(els.mailTo.value)[0] || '';
+    return { email, values };
+  }
+
+  // ========================================================
+  // History (usage log)
+  // ========================================================
+  // Logs the email currently in the preview under `action`
+  // History is a side effect: a logging failure must never stop the copy or send
+  function recordUsage(action) {
+    try {
+      const entry = ETCore.logUsage({
+        templateId: state.selectedTemplateId,
+        action,
+        values: state.inputs,
+        to: els.mailTo.value,
+        subject: state.subject,
+        text: state.body.text,
+        html: state.body.html
+      });
+      if (entry) state.historyId = entry.id;
+      renderHistory();
+    } catch (err) {
+      console.error('Could not add this to History.', err);
+    }
+  }
+
+  function wireHistory() {
+    els.historySelectedOnly.addEventListener('change', renderHistory);
+
+    els.clearHistoryBtn.addEventListener('click', () => {
+      const sure = confirm('Clear the whole history? Usage counts in Saved Templates reset too.');
+      if (!sure) return;
+      ETCore.clearUsage();
+      state.historyId = '';
+      renderHistory();
+    });
+
+    // Bring back the template and the inputs that produced this email
+    els.historyLoadBtn.addEventListener('click', () => {
+      const entry = ETCore.getUsageEntry(state.historyId);
+      if (!entry || !ETCore.getTemplate(entry.templateId)) return;
+      document.querySelectorAll('[data-field]').forEach(input => { input.value = ''; });
+      hydrateInputs(entry.values);
+      els.mailTo.value = entry.to;
+      selectTemplate(entry.templateId);
+      els.subjectPreview.scrollIntoView({ behavior: 'smooth', block: 'center' });
+    });
+
+    els.historyEmlBtn.addEventListener('click', () => {
+      const entry = ETCore.getUsageEntry(state.historyId);
+      if (!entry) return;
+      const eml = ETCore.buildEml({ to: entry.to, subject: entry.subject, text: entry.text, html: entry.html });
+      const name = (entry.subject || 'email').replace(/[^\w\- ]+/g, '').trim().slice(0, 60) || 'email';
+      ETCore.downloadFile(`${name}.eml`, eml, 'message/rfc822');
+    });
+  }
+
+  function renderHistory() {
+    // "Selected template only" with nothing selected shows nothing
+    const selectedOnly = els.historySelectedOnly.checked;
+    const all = selectedOnly && !state.selectedTemplateId
+      ? []
+      : ETCore.listUsage({ templateId: selectedOnly ? state.selectedTemplateId : null });
+    const entries = all.slice(0, HISTORY_LIMIT);
+    const total = all.length;
+
+    els.historyEmpty.classList.toggle('hidden', entries.length > 0);
+    els.historyResults.classList.toggle('hidden', entries.length === 0);
+    els.historySummary.textContent = total > entries.length
+      ? `Latest ${entries.length} of ${total}`
+      : (entries.length ? `${entries.length} email${entries.length === 1 ? '' : 's'}` : '');
+    els.clearHistoryBtn.disabled = ETCore.listUsage({ limit: 1 }).length === 0;
+
+    els.historyTable.innerHTML = '';
+    if (!entries.length) {
+      state.historyId = '';
+      return;
+    }
+    if (!entries.some(e => e.id === state.historyId)) state.historyId = entries[0].id;
+
+    const thead = document.createElement('thead');
+    const headRow = document.createElement('tr');
+    for (const label of ['When', 'Template', 'Action', 'To']) {
+      const th = document.createElement('th');
+      th.textContent = label;
+      headRow.appendChild(th);
+    }
+    thead.appendChild(headRow);
+
+    const tbody = document.createElement('tbody');
+    for (const e of entries) {
+      const tr = document.createElement('tr');
+      tr.dataset.id = e.id;
+      const current = ETCore.getTemplate(e.templateId);
+      const cells = [
+        formatDateTime(e.at),
+        current ? current.name : `${e.templateName || 'Unknown'} (deleted)`,
+        ACTION_LABELS[e.action] || e.action,
+        e.to
+      ];
+      for (const text of cells) {
+        const td = document.createElement('td');
+        td.textContent = text;
+        tr.appendChild(td);
+      }
+      tr.addEventListener('click', () => showHistoryEntry(e.id));
+      tbody.appendChild(tr);
+    }
+
+    els.historyTable.appendChild(thead);
+    els.historyTable.appendChild(tbody);
+    showHistoryEntry(state.historyId);
+  }
+
+  // The email exactly as it was rendered at the time (not re-rendered)
+  function showHistoryEntry(id) {
+    const entry = ETCore.getUsageEntry(id);
+    if (!entry) return;
+    state.historyId = id;
+
+    const filled = Object.values(entry.values || {}).filter(v => String(v).trim()).length;
+    els.historyMeta.textContent = `${formatDateTime(entry.at)} • ${filled} input${filled === 1 ? '' : 's'} filled`;
+    const canLoad = Boolean(ETCore.getTemplate(entry.templateId));
+    els.historyLoadBtn.disabled = !canLoad;
+    els.historyLoadBtn.title = canLoad ? 'Select this template and fill the inputs as they were' : 'The template no longer exists';
+
+    els.historySubject.textContent = entry.subject;
+    if (entry.html) {
+      els.historyBody.innerHTML = entry.html;
+      els.historyBody.classList.add('rich');
+    } else {
+      els.historyBody.textContent = entry.text;
+      els.historyBody.classList.remove('rich');
+    }
+
+    els.historyTable.querySelectorAll('tbody tr').forEach(tr => {
+      if (tr.dataset.id === id) tr.setAttribute('aria-selected', 'true');
+      else tr.removeAttribute('aria-selected');
+    });
+  }
+
+  function formatDateTime(iso) {
+    const d = new Date(iso);
+    if (Number.isNaN(d.getTime())) return '—';
+    return d.toLocaleString(undefined, { dateStyle: 'medium', timeStyle: 'short' });
+  }
+
+  // ========================================================
+  // Mail merge
+  // ========================================================
+  function wireMerge() {
+    els.mergeLoadBtn.addEventListener('click', () => loadMergeCsv(els.mergeCsv.value));
+
+    els.mergeUploadBtn.addEventListener('click', () => {
+      els.mergeFile.value = '';
+      els.mergeFile.click();
+    });
+    els.mergeFile.addEventListener('change', async () => {
+      const file = els.mergeFile.files && els.mergeFile.files[0];
+      if (!file) return;
+      els.mergeCsv.value = await file.text();
+      loadMergeCsv(els.mergeCsv.value);
+    });
+
+    els.mergeClearBtn.addEventListener('click', () => {
+      els.mergeCsv.value = '';
+      loadMergeCsv('');
+    });
+
+    els.mergePrevBtn.addEventListener('click', () => showMergeRow(state.merge.index - 1));
+    els.mergeNextBtn.addEventListener('click', () => showMergeRow(state.merge.index + 1));
+
+    els.mergeCsvBtn.addEventListener('click', () => {
+      const rows = renderAllMergeRows().map(r => ({ ...r.row, subject: r.subject, body: r.body.text }));
+      const columns = [...state.merge.headers, 'subject', 'body'];
+      ETCore.downloadFile(`mail-merge-${ETCore.dateStamp()}.csv`, ETCore.toCsv(rows, columns), 'text/csv');
+    });
+
+    els.mergeJsonBtn.addEventListener('click', () => {
+      const rows = renderAllMergeRows().map(r => ({
+        to: r.to,
+        subject: r.subject,
+        body: r.body.text,
+        html: r.body.html,
+        values: r.row
+      }));
+      ETCore.downloadFile(`mail-merge-${ETCore.dateStamp()}.json`, JSON.stringify(rows, null, 2), 'application/json');
+    });
+
+    els.mergeZipBtn.addEventListener('click', () => {
+      const used = new Set();
+      const files = renderAllMergeRows().map((r, i) => {
+        const base = `${String(i + 1).padStart(3, '0')}-${(r.to || r.subject || 'email').replace(/[^\w@.\- ]+/g, '').trim().slice(0, 50)}`;
+        let name = `${base}.eml`;
+        for (let n = 2; used.has(name); n++) name = `${base}-${n}.eml`;
+        used.add(name);
+        return {
+          name,
+          content: ETCore.buildEml({ to: r.to, subject: r.subject, text: r.body.text, html: r.body.html })
+        };
+      });
+      ETCore.downloadFile(`mail-merge-${ETCore.dateStamp()}.zip`, ETCore.makeZip(files), 'application/zip');
+    });
+  }
+
+  function loadMergeCsv(text) {
+    const { headers, rows } = ETCore.parseCsv(text);
+    state.merge = { headers, rows, index: 0 };
+    refreshMerge();
+  }
+
+  // Render one CSV row with the selected template (blank cells fall back to field defaults)
+  function renderMergeRow(row) {
+    const tpl = getSelectedTemplate();
+    const data = ETCore.applyFieldDefaults(row);
+    const subjectStr = tpl?.subject || '';
+    const bodyStr = tpl?.content || '';
+    const recipientKey = RECIPIENT_COLUMNS.find(k => row[k]);
+    return {
+      row,
+      to: recipientKey ? row[recipientKey] : '',
+      subject: ETCore.render(subjectStr, data),
+      body: ETCore.renderBody(bodyStr, data, { format: tpl?.format }),
+      missing: ETCore.missingFields(`${subjectStr}\n${bodyStr}`, data)
+    };
+  }
+
+  function renderAllMergeRows() {
+    return state.merge.rows.map(renderMergeRow);
+  }
+
+  function refreshMerge() {
+    const { headers, rows } = state.merge;
+    const tpl = getSelectedTemplate();
+
+    els.mergeResults.classList.toggle('hidden', rows.length === 0);
+    if (!rows.length) {
+      els.mergeSummary.textContent = els.mergeCsv.value.trim() ? 'No data rows found.' : '';
+      els.mergeTable.innerHTML = '';
+      return;
+    }
+
+    const known = new Set(fields.map(f => f.key));
+    const unknown = headers.filter(h => !known.has(h) && !RECIPIENT_COLUMNS.includes(h));
+    const rendered = renderAllMergeRows();
+    const incomplete = rendered.filter(r => r.missing.length).length;
+    els.mergeSummary.textContent = [
+      `${rows.length} row${rows.length === 1 ? '' : 's'}`,
+      tpl ? `${incomplete} with missing fields` : 'select a template to render',
+      unknown.length ? `extra columns: ${unknown.join(', ')}` : ''
+    ].filter(Boolean).join(' • ');
+
+    // Table: #, each column, missing count
+    els.mergeTable.innerHTML = '';
+    const thead = document.createElement('thead');
+    const headRow = document.createElement('tr');
+    for (const label of ['#', ...headers, 'Missing']) {
+      const th = document.createElement('th');
+      th.textContent = label;
+      headRow.appendChild(th);
+    }
+    thead.appendChild(headRow);
+
+    const tbody = document.createElement('tbody');
+    rendered.forEach((r, i) => {
+      const tr = document.createElement('tr');
+      tr.dataset.index = String(i);
+      const cells = [String(i + 1), ...headers.map(h => r.row[h] || ''), String(r.missing.length)];
+      cells.forEach((text, c) => {
+        const td = document.createElement('td');
+        td.textContent = text;
+        if (c === cells.length - 1 && r.missing.length) td.title = `Missing: ${r.missing.join(', ')}`;
+        tr.appendChild(td);
+      });
+      tr.addEventListener('click', () => showMergeRow(i));
+      tbody.appendChild(tr);
+    });
+
+    els.mergeTable.appendChild(thead);
+    els.mergeTable.appendChild(tbody);
+
+    const canExport = !!tpl;
+    els.mergeCsvBtn.disabled = !canExport;
+    els.mergeJsonBtn.disabled = !canExport;
+    els.mergeZipBtn.disabled = !canExport;
+
+    showMergeRow(Math.min(state.merge.index, rows.length - 1));
+  }
+
+  function showMergeRow(index) {
+    const { rows } = state.merge;
+    if (!rows.length) return;
+    state.merge.index = Math.max(0, Math.min(index, rows.length - 1));
+
+    const r = renderMergeRow(rows[state.merge.index]);
+    els.mergePosition.textContent = `Row ${state.merge.index + 1} of ${rows.length}` +
+      (r.missing.length ? ` • missing: ${r.missing.join(', ')}` : '');
+    els.mergePrevBtn.disabled = state.merge.index === 0;
+    els.mergeNextBtn.disabled = state.merge.index === rows.length - 1;
+
+    els.mergeSubject.textContent = r.subject;
+    if (r.body.html) {
+      els.mergeBody.innerHTML = r.body.html;
+      els.mergeBody.classList.add('rich');
+    } else {
+      els.mergeBody.textContent = r.body.text;
+      els.mergeBody.classList.remove('rich');
+    }
+
+    els.mergeTable.querySelectorAll('tbody tr').forEach(tr => {
+      if (Number(tr.dataset.index) === state.merge.index) tr.setAttribute('aria-selected', 'true');
+      else tr.removeAttribute('aria-selected');
+    });
   }
 
   function wireInputListeners() {
@@ -168,15 +978,43 @@ document.addEventListener('DOMContentLoaded', () => {
       input.addEventListener('input', refreshPreview);
       input.addEventListener('change', refreshPreview);
     });
+  }
 
-    els.templateSel.addEventListener('change', () => {
-      state.selectedTemplateId = els.templateSel.value;
-      saveTemplateIdCache();
-      refreshPreview();
-    });
+  function recipients() {
+    return {
+      to: els.mailTo.value,
+      cc: els.mailCc.value,
+      bcc: els.mailBcc.value
+    };
   }
 
   function wireActions() {
+    els.mailtoBtn.addEventListener('click', () => {
+      const { url, truncated } = ETCore.buildMailto({
+        ...recipients(),
+        subject: state.subject,
+        body: state.body.text
+      });
+      recordUsage('mailto');
+      els.mailNote.textContent = truncated
+        ? 'Body was too long for a mail link and was shortened. Use Download .eml for the full email.'
+        : '';
+      window.location.href = url;
+    });
+
+    els.emlBtn.addEventListener('click', () => {
+      const eml = ETCore.buildEml({
+        ...recipients(),
+        subject: state.subject,
+        text: state.body.text,
+        html: state.body.html
+      });
+      const name = (state.subject || 'email').replace(/[^\w\- ]+/g, '').trim().slice(0, 60) || 'email';
+      ETCore.downloadFile(`${name}.eml`, eml, 'message/rfc822');
+      recordUsage('eml');
+      els.mailNote.textContent = '';
+    });
+
     els.clearBtn.addEventListener('click', () => {
       document.querySelectorAll('[data-field]').forEach(input => { input.value = ''; });
       state.inputs = {};
@@ -188,6 +1026,7 @@ document.addEventListener('DOMContentLoaded', () => {
       const text = els.subjectPreview.textContent || '';
       if (!text.trim()) return;
       const ok = await ETCore.copyToClipboard(text);
+      if (ok) recordUsage('copy-subject');
       const original = els.copySubjectBtn.textContent;
       els.copySubjectBtn.textContent = ok ? 'Copied!' : 'Copy failed';
       els.copySubjectBtn.disabled = true;
@@ -198,9 +1037,10 @@ document.addEventListener('DOMContentLoaded', () => {
     });
 
     els.copyBodyBtn.addEventListener('click', async () => {
-      const text = els.bodyPreview.textContent || '';
+      const { text, html } = state.body;
       if (!text.trim()) return;
-      const ok = await ETCore.copyToClipboard(text);
+      const ok = await ETCore.copyToClipboard(text, { html });
+      if (ok) recordUsage('copy-body');
       const original = els.copyBodyBtn.textContent;
       els.copyBodyBtn.textContent = ok ? 'Copied!' : 'Copy failed';
       els.copyBodyBtn.disabled = true;
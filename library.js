@@ -1,13 +1,41 @@
 /* =========================================================
    library.js — Saved Templates & Folders manager
-   - Folder CRUD (add/rename/delete with keep-or-delete option)
-   - List templates by folder (or All), search by name
-   - Template actions: Edit inline, Move (via in-page dialog), Delete
-   - Subject line supported in inline editor (load/save)
-   - Uses ETCore (localStorage)
+   - Folder tree CRUD (add/rename/delete with keep-or-delete option for
+     templates and keep-or-cascade for subfolders), collapsible rows with
+     rolled-up counts, drag-and-drop of templates and folders
+   - List templates by folder (or All); ranked search over name/subject/body
+     with "phrases", uses:key / folder:name qualifiers and highlighted snippets
+   - Usage count + last used per row (from the Inputs page history); sort by
+     name / updated / created / most or least used, pinned templates first
+   - Pin (favourite) templates; pins also lead the Inputs page picker
+   - Tags: edit in the inline editor, chips on rows, AND / OR tag filter, and a
+     Tags card to rename / merge / delete a tag across every template
+   - Template actions: Edit inline (or open in the builder), Move (via in-page
+     dialog), Duplicate, Delete
+   - Multi-select (checkboxes, shift-click ranges, select all in view) with
+     bulk Move / Duplicate / Delete (one Undo for the whole batch)
+   - Subject line supported in inline editor (load/save); the body uses the
+     shared ETEditor (highlighting, {{ autocomplete, hover values)
+   - Placeholder field registry (add/edit/delete via in-page dialog)
+   - Export library/folder as JSON; import with merge-or-replace preview
+   - Storage usage line (backend, space used of the browser's quota) with a
+     warning when nearly full
+   - After a library upgrade / repair: what changed, plus download or discard
+     of the copy kept from before it
+   - Revision history in the inline editor (diff vs current + restore)
+   - Inline editor guards unsaved changes (Cancel / switching rows / leaving
+     the page) and autosaves a draft that is offered back on the next visit
+   - Trash view (restore / delete forever / retention) + Undo toast
+   - Stays in sync with other tabs (ETCore.subscribe): lists re-render, an
+     untouched inline editor reloads, an edited one warns and confirms before
+     overwriting the other tab's save (the field dialog confirms likewise)
+   - Uses ETCore (IndexedDB, or localStorage as a fallback)
    ========================================================= */
 
-document.addEventListener('DOMContentLoaded', () => {
+document.addEventListener('DOMContentLoaded', async () => {
+  // The library loads asynchronously (IndexedDB); wait before touching it
+  await ETCore.ready;
+
   // ---------- Elements ----------
   const els = {
     // Folders
@@ -19,41 +47,150 @@ document.addEventListener('DOMContentLoaded', () => {
 
     // Templates
     searchInput: document.getElementById('searchInput'),
+    usesFilter: document.getElementById('usesFilter'),
+    tagFilterBar: document.getElementById('tagFilterBar'),
+    tagFilterList: document.getElementById('tagFilterList'),
+    tagMode: document.getElementById('tagMode'),
+    sortSelect: document.getElementById('sortSelect'),
     templateList: document.getElementById('templateList'),
     templatesEmpty: document.getElementById('templatesEmpty'),
+    trashBar: document.getElementById('trashBar'),
+    trashRetention: document.getElementById('trashRetention'),
+    emptyTrashBtn: document.getElementById('emptyTrashBtn'),
+    bulkBar: document.getElementById('bulkBar'),
+    selectAllTemplates: document.getElementById('selectAllTemplates'),
+    selectionCount: document.getElementById('selectionCount'),
+    bulkMoveBtn: document.getElementById('bulkMoveBtn'),
+    bulkDuplicateBtn: document.getElementById('bulkDuplicateBtn'),
+    bulkDeleteBtn: document.getElementById('bulkDeleteBtn'),
+
+    // Undo toast
+    toast: document.getElementById('toast'),
+    toastMsg: document.getElementById('toastMsg'),
+    toastUndoBtn: document.getElementById('toastUndoBtn'),
 
     // Inline editor
     editorCard: document.getElementById('editorCard'),
     editName: document.getElementById('editName'),
     editSubject: document.getElementById('editSubject'),
     editFolder: document.getElementById('editFolder'),
+    editTags: document.getElementById('editTags'),
+    editTagSuggestions: document.getElementById('editTagSuggestions'),
+    editFormat: document.getElementById('editFormat'),
     editMeta: document.getElementById('editMeta'),
+    editConflictNote: document.getElementById('editConflictNote'),
     editBody: document.getElementById('editBody'),
     cancelEditBtn: document.getElementById('cancelEditBtn'),
     saveEditBtn: document.getElementById('saveEditBtn'),
     deleteEditBtn: document.getElementById('deleteEditBtn'),
+    historyBtn: document.getElementById('historyBtn'),
+    openInBuilderLink: document.getElementById('openInBuilderLink'),
+    historyPanel: document.getElementById('historyPanel'),
+    revisionList: document.getElementById('revisionList'),
+    diffTitle: document.getElementById('diffTitle'),
+    revisionDiff: document.getElementById('revisionDiff'),
+    restoreRevisionBtn: document.getElementById('restoreRevisionBtn'),
 
     // Move dialog
     moveDialog: document.getElementById('moveDialog'),
+    moveTitle: document.getElementById('moveTitle'),
     moveSelect: document.getElementById('moveSelect'),
     moveConfirmBtn: document.getElementById('moveConfirmBtn'),
-    moveCancelBtn: document.getElementById('moveCancelBtn')
+    moveCancelBtn: document.getElementById('moveCancelBtn'),
+
+    // Placeholder fields
+    fieldList: document.getElementById('fieldList'),
+    addFieldBtn: document.getElementById('addFieldBtn'),
+
+    // Tags
+    tagList: document.getElementById('tagList'),
+    tagsEmpty: document.getElementById('tagsEmpty'),
+    fieldDialog: document.getElementById('fieldDialog'),
+    fieldTitle: document.getElementById('fieldTitle'),
+    fieldKey: document.getElementById('fieldKey'),
+    fieldLabel: document.getElementById('fieldLabel'),
+    fieldType: document.getElementById('fieldType'),
+    fieldDefault: document.getElementById('fieldDefault'),
+    fieldError: document.getElementById('fieldError'),
+    fieldSaveBtn: document.getElementById('fieldSaveBtn'),
+    fieldCancelBtn: document.getElementById('fieldCancelBtn'),
+
+    // Backup
+    exportAllBtn: document.getElementById('exportAllBtn'),
+    exportFolderBtn: document.getElementById('exportFolderBtn'),
+    importBtn: document.getElementById('importBtn'),
+    importFile: document.getElementById('importFile'),
+    importDialog: document.getElementById('importDialog'),
+    importMode: document.getElementById('importMode'),
+    importConflict: document.getElementById('importConflict'),
+    importConflictField: document.getElementById('importConflictField'),
+    importSummary: document.getElementById('importSummary'),
+    importConfirmBtn: document.getElementById('importConfirmBtn'),
+    importCancelBtn: document.getElementById('importCancelBtn'),
+    storageUsage: document.getElementById('storageUsage'),
+    migrationNote: document.getElementById('migrationNote'),
+    migrationText: document.getElementById('migrationText'),
+    migrationDetailsBtn: document.getElementById('migrationDetailsBtn'),
+    migrationDownloadBtn: document.getElementById('migrationDownloadBtn'),
+    migrationDiscardBtn: document.getElementById('migrationDiscardBtn')
   };
 
-  // ---------- State ----------
-  // Sentinel 'ALL' means show all templates across folders
+  // ---------- State / Cache keys ----------
+  const CACHE_KEY_COLLAPSED = 'emailTemplates.library.collapsedFolders';
+  const CACHE_KEY_SORT = 'emailTemplates.library.sort';
+
+  // Sentinel 'ALL' means show all templates across folders, 'TRASH' the trash bin
   let selectedFolderId = 'ALL';
+  const isPseudoFolder = id => id === 'ALL' || id === 'TRASH';
   let editingTemplateId = null;
-  let pendingMoveTemplateId = null;
+  let editSnapshot = null;    // inline editor values when opened/saved
+  let editBase = null; // the open template as it was loaded
+  const EDIT_DRAFT_SLOT = 'library';
+  const AUTOSAVE_MS = 5000;
+  let selectedRevisionId = null;
+  let pendingMoveTemplateIds = [];
+  const selectedTemplateIds = new Set(); // checked rows in the template list
+  const selectedTags = new Set();        // tag filter (combined per els.tagMode)
+  let lastCheckedTemplateId = null;      // anchor for shift-click ranges
   let lastFocusedBeforeDialog = null;
+  let editingFieldKey = null; // null = adding a new field
+  let editingField = null;    // the field as the dialog loaded it (conflict check)
+  let pendingImport = null;   // validated data awaiting confirmation
+  let undoTrashIds = [];      // trash entries the toast's Undo button restores
+  let toastTimer = null;
+  const collapsedFolders = loadCollapsedFolders();
+
+  // Drag-and-drop payload types
+  const DND_TEMPLATE = 'text/x-et-template';
+  const DND_FOLDER = 'text/x-et-folder';
 
   // ---------- Init ----------
+  const bodyEditor = ETEditor.attach(els.editBody, { fields: () => ETCore.listFields() });
+  populateUsesFilter();
+  restoreSort();
   renderFolders();
   renderTemplates();
   wireFolderButtons();
   wireSearch();
+  wireTags();
   wireEditorButtons();
+  wireHistory();
   wireMoveDialog();
+  wireBulkActions();
+  renderFields();
+  wireFieldDialog();
+  wireBackup();
+  renderStorageUsage();
+  wireMigrationBackup();
+  wireTrash();
+  wireUnsavedProtection();
+  offerDraftRecovery();
+  ETCore.subscribe(change => { if (change.remote) syncFromOtherTab(); });
+  ETCore.onStorageError(problem => {
+    alert(problem.message);
+    renderStorageUsage();
+  });
+  ETCore.subscribe(renderStorageUsage);
 
   // ========================================================
   // Rendering — Folders
@@ -62,27 +199,65 @@ document.addEventListener('DOMContentLoaded', () => {
     els.folderList.innerHTML = '';
 
     const templates = ETCore.listTemplates();
-    const folders = ETCore.listFolders();
+    const tree = ETCore.listFolderTree();
+    const folders = tree.map(x => x.folder);
     const countByFolder = countTemplatesByFolder(templates);
 
-    // "All templates" pseudo-row
+    // "All templates" pseudo-row (also the drop target for "top level / no folder")
     const allCount = templates.length;
     els.folderList.appendChild(
       folderRow('ALL', 'All templates', allCount)
     );
 
-    // Real folders
-    for (const f of folders) {
-      const count = countByFolder.get(f.id) || 0;
-      els.folderList.appendChild(folderRow(f.id, f.name, count));
+    // Real folders, depth-first; children of collapsed folders are skipped
+    let hideDeeperThan = Infinity;
+    for (const { folder, depth, hasChildren } of tree) {
+      if (depth > hideDeeperThan) continue;
+      hideDeeperThan = Infinity;
+
+      const collapsed = hasChildren && collapsedFolders.has(folder.id);
+      if (collapsed) hideDeeperThan = depth;
+
+      // Counts roll up: a folder includes everything in its subfolders
+      const ids = [folder.id, ...ETCore.descendantFolderIds(folder.id, folders)];
+      const count = ids.reduce((n, id) => n + (countByFolder.get(id) || 0), 0);
+      els.folderList.appendChild(folderRow(folder.id, folder.name, count, 'template', { depth, hasChildren, collapsed }));
     }
 
+    // Trash pseudo-row
+    const trashCount = ETCore.listTrash().length;
+    els.folderList.appendChild(
+      folderRow('TRASH', 'Trash', trashCount, 'item')
+    );
+
     // Restore selection highlight
     highlightSelectedFolder();
 
-    // Hint text
+    updateFolderHint();
+  }
+
+  function loadCollapsedFolders() {
+    try {
+      return new Set(JSON.parse(localStorage.getItem(CACHE_KEY_COLLAPSED) || '[]'));
+    } catch {
+      return new Set();
+    }
+  }
+
+  function toggleFolderCollapsed(id) {
+    if (collapsedFolders.has(id)) collapsedFolders.delete(id);
+    else collapsedFolders.add(id);
+    try {
+      localStorage.setItem(CACHE_KEY_COLLAPSED, JSON.stringify(Array.from(collapsedFolders)));
+    } catch {}
+    renderFolders();
+  }
+
+  function updateFolderHint() {
     els.folderHint.textContent =
-      selectedFolderId === 'ALL' ? 'Viewing all templates' : 'Select a folder to manage it';
+      selectedFolderId === 'ALL' ? 'Viewing all templates'
+        : selectedFolderId === 'TRASH' ? 'Viewing deleted items'
+          : 'New folders are created inside the selected folder. Drag templates or folders onto a folder to move them.';
   }
 
   function countTemplatesByFolder(templates) {
@@ -95,40 +270,111 @@ document.addEventListener('DOMContentLoaded', () => {
     return m;
   }
 
-  function folderRow(id, name, count) {
+  function folderRow(id, name, count, noun = 'template', tree = {}) {
+    const { depth = 0, hasChildren = false, collapsed = false } = tree;
+    const isFolder = !isPseudoFolder(id);
+
     const row = document.createElement('div');
     row.className = 'list-item';
     row.dataset.id = id;
     row.tabIndex = 0;
+    if (depth) row.style.marginLeft = `${depth * 18}px`;
+    if (hasChildren) row.setAttribute('aria-expanded', String(!collapsed));
 
     const left = document.createElement('div');
+    left.className = 'row';
+
+    if (isFolder) {
+      const toggle = document.createElement('button');
+      toggle.type = 'button';
+      toggle.className = 'tree-toggle';
+      toggle.textContent = hasChildren ? (collapsed ? '▸' : '▾') : '';
+      toggle.disabled = !hasChildren;
+      toggle.setAttribute('aria-label', collapsed ? `Expand ${name}` : `Collapse ${name}`);
+      toggle.addEventListener('click', (e) => {
+        e.stopPropagation();
+        toggleFolderCollapsed(id);
+      });
+      left.appendChild(toggle);
+    }
+
+    const text = document.createElement('div');
     const title = document.createElement('div');
     title.className = 'item-title';
     title.textContent = name;
 
     const sub = document.createElement('div');
     sub.className = 'item-sub';
-    sub.textContent = `${count} template${count === 1 ? '' : 's'}`;
+    sub.textContent = `${count} ${noun}${count === 1 ? '' : 's'}`;
 
-    left.appendChild(title);
-    left.appendChild(sub);
+    text.appendChild(title);
+    text.appendChild(sub);
+    left.appendChild(text);
     row.appendChild(left);
 
+    if (isFolder) {
+      row.draggable = true;
+      row.addEventListener('dragstart', (e) => {
+        e.dataTransfer.setData(DND_FOLDER, id);
+        e.dataTransfer.effectAllowed = 'move';
+      });
+    }
+    if (id !== 'TRASH') wireDropTarget(row, isFolder ? id : null);
+
     row.addEventListener('click', () => {
       selectedFolderId = id;
       renderTemplates();
       highlightSelectedFolder();
+      updateFolderHint();
     });
     row.addEventListener('keydown', (e) => {
+      if (e.target !== row) return;
       if (e.key === 'Enter' || e.key === ' ') {
         e.preventDefault();
         row.click();
+      } else if (hasChildren && (e.key === 'ArrowLeft' || e.key === 'ArrowRight')) {
+        // Keyboard collapse/expand, like a tree view
+        if ((e.key === 'ArrowLeft') !== collapsed) toggleFolderCollapsed(id);
       }
     });
 
     return row;
   }
 
+  // Drop templates or folders onto a folder row (folderId null = top level / no folder)
+  function wireDropTarget(row, folderId) {
+    const accepts = (e) => {
+      const types = Array.from(e.dataTransfer.types || []);
+      return types.includes(DND_TEMPLATE) || types.includes(DND_FOLDER);
+    };
+    row.addEventListener('dragover', (e) => {
+      if (!accepts(e)) return;
+      e.preventDefault();
+      e.dataTransfer.dropEffect = 'move';
+      row.classList.add('drop-target');
+    });
+    row.addEventListener('dragleave', () => row.classList.remove('drop-target'));
+    row.addEventListener('drop', (e) => {
+      row.classList.remove('drop-target');
+      if (!accepts(e)) return;
+      e.preventDefault();
+
+      const templateId = e.dataTransfer.getData(DND_TEMPLATE);
+      const draggedFolderId = e.dataTransfer.getData(DND_FOLDER);
+      if (templateId) {
+        ETCore.moveTemplatesToFolder([templateId], folderId);
+      } else if (draggedFolderId && draggedFolderId !== folderId) {
+        if (!ETCore.moveFolder(draggedFolderId, folderId)) {
+          alert('A folder cannot be moved into itself or one of its subfolders.');
+          return;
+        }
+        if (folderId) collapsedFolders.delete(folderId); // show where it landed
+      }
+      renderFolders();
+      renderTemplates();
+    });
+  }
+
   function highlightSelectedFolder() {
     els.folderList.querySelectorAll('.list-item').forEach(li => {
       if (li.dataset.id === selectedFolderId) {
@@ -147,71 +393,167 @@ document.addEventListener('DOMContentLoaded', () => {
   // Rendering — Templates
   // ========================================================
   function renderTemplates() {
+    // Tags come and go with templates (edits, deletes, restores, imports)
+    renderTags();
     els.templateList.innerHTML = '';
-    const search = (els.searchInput.value || '').toLowerCase();
-
-    // Gather templates for current folder
-    let list = ETCore.listTemplates(); // already sorted by name (core.js)
-    if (selectedFolderId !== 'ALL') {
-      list = list.filter(t => t.folderId === selectedFolderId);
+    els.trashBar.classList.toggle('hidden', selectedFolderId !== 'TRASH');
+    els.bulkBar.classList.toggle('hidden', selectedFolderId === 'TRASH');
+    if (selectedFolderId === 'TRASH') {
+      renderTrash();
+      return;
     }
-
-    // Filter by search
-    if (search) {
-      list = list.filter(t => t.name.toLowerCase().includes(search));
+    // Search box + placeholder dropdown combine into one query
+    const uses = els.usesFilter.value;
+    const query = `${els.searchInput.value || ''}${uses ? ` uses:${uses}` : ''}`.trim();
+    const filter = selectedFolderId === 'ALL' ? {} : { folderId: selectedFolderId, includeSubfolders: true };
+    filter.tags = Array.from(selectedTags);
+    filter.tagMode = els.tagMode.value;
+
+    // Ranked by relevance when searching, otherwise by name (core.js)
+    const results = ETCore.searchTemplates(query, filter);
+    const terms = ETCore.parseSearchQuery(query).terms;
+
+    const folderPathById = new Map(ETCore.listFolderTree().map(x => [x.folder.id, x.path]));
+
+    // Bulk actions only ever apply to rows that are visible
+    const visibleIds = new Set(results.map(r => r.template.id));
+    for (const id of Array.from(selectedTemplateIds)) {
+      if (!visibleIds.has(id)) selectedTemplateIds.delete(id);
     }
+    updateSelectionUi();
 
-    const folders = ETCore.listFolders();
-    const folderNameById = new Map(folders.map(f => [f.id, f.name]));
-
-    if (list.length === 0) {
+    if (results.length === 0) {
       els.templatesEmpty.classList.remove('hidden');
       return;
     } else {
       els.templatesEmpty.classList.add('hidden');
     }
 
-    for (const t of list) {
-      els.templateList.appendChild(templateRow(t, folderNameById));
+    const stats = ETCore.usageStats();
+    for (const { template, snippet } of sortResults(results, query)) {
+      els.templateList.appendChild(templateRow(template, folderPathById, { terms, snippet }, stats[template.id]));
     }
   }
 
-  function templateRow(t, folderNameById) {
+  // Searching by "name" keeps the relevance ranking; every other case uses
+  // ETCore.sortTemplates (pinned first)
+  function sortResults(results, query) {
+    const sort = els.sortSelect.value;
+    if (query && sort === 'name') return results;
+    const byId = new Map(results.map(r => [r.template.id, r]));
+    return ETCore.sortTemplates(results.map(r => r.template), sort).map(t => byId.get(t.id));
+  }
+
+  function templateRow(t, folderPathById, match = {}, usage = null) {
     const row = document.createElement('div');
     row.className = 'list-item';
     row.dataset.id = t.id;
+    row.draggable = true;
+    row.addEventListener('dragstart', (e) => {
+      e.dataTransfer.setData(DND_TEMPLATE, t.id);
+      e.dataTransfer.effectAllowed = 'move';
+    });
+
+    const check = document.createElement('input');
+    check.type = 'checkbox';
+    check.className = 'row-check';
+    check.checked = selectedTemplateIds.has(t.id);
+    check.setAttribute('aria-label', `Select ${t.name}`);
+    check.addEventListener('click', (e) => toggleTemplateSelection(t.id, check.checked, e.shiftKey));
 
     const left = document.createElement('div');
+    left.className = 'grow';
     const title = document.createElement('div');
     title.className = 'item-title';
-    title.textContent = t.name;
+    appendHighlighted(title, t.name, rangesOf(t.name, match.terms || []));
+    if (t.pinned) {
+      const star = document.createElement('span');
+      star.className = 'pin-mark';
+      star.textContent = ' ★';
+      star.title = 'Pinned';
+      title.appendChild(star);
+    }
 
     const sub = document.createElement('div');
     sub.className = 'item-sub';
-    const folderLabel = t.folderId ? (folderNameById.get(t.folderId) || 'Folder') : 'No folder';
+    const folderLabel = t.folderId ? (folderPathById.get(t.folderId) || 'Folder') : 'No folder';
     const updated = formatDisplayDate(t.updatedAt);
-    sub.textContent = `${folderLabel} • Updated ${updated}`;
+    const used = usage
+      ? `Used ${usage.count}× • Last used ${formatDisplayDate(usage.lastUsedAt)}`
+      : 'Never used';
+    sub.textContent = `${folderLabel} • Updated ${updated} • ${used}`;
 
     left.appendChild(title);
     left.appendChild(sub);
 
+    if (t.tags && t.tags.length) {
+      const chips = document.createElement('div');
+      chips.className = 'tag-list';
+      for (const tag of t.tags) chips.appendChild(tagChip(tag, hasSelectedTag(tag)));
+      left.appendChild(chips);
+    }
+
+    if (match.snippet) {
+      const snip = document.createElement('div');
+      snip.className = 'item-snippet';
+      appendHighlighted(snip, match.snippet.text, match.snippet.ranges);
+      left.appendChild(snip);
+    }
+
     const actions = document.createElement('div');
     actions.className = 'row';
 
+    const pinBtn = button(t.pinned ? 'Unpin' : 'Pin', 'btn btn-outline btn-small', () => {
+      ETCore.setTemplatePinned(t.id, !t.pinned);
+      renderTemplates();
+    });
+    pinBtn.setAttribute('aria-pressed', String(Boolean(t.pinned)));
+    pinBtn.title = t.pinned ? 'Stop listing this template first' : 'List this template first here and on the Inputs page';
     const editBtn = button('Edit', 'btn btn-outline btn-small', () => openEditor(t.id));
-    const moveBtn = button('Move', 'btn btn-outline btn-small', () => openMoveDialog(t.id));
-    const delBtn = button('Delete', 'btn btn-danger btn-small', () => deleteTemplate(t.id));
+    const moveBtn = button('Move', 'btn btn-outline btn-small', () => openMoveDialog([t.id]));
+    const dupBtn = button('Duplicate', 'btn btn-outline btn-small', () => duplicateTemplates([t.id]));
+    const delBtn = button('Delete', 'btn btn-danger btn-small', () => deleteTemplates([t.id]));
 
+    actions.appendChild(pinBtn);
     actions.appendChild(editBtn);
     actions.appendChild(moveBtn);
+    actions.appendChild(dupBtn);
     actions.appendChild(delBtn);
 
+    row.classList.toggle('selected', check.checked);
+    row.appendChild(check);
     row.appendChild(left);
     row.appendChild(actions);
 
     return row;
   }
 
+  // Case-insensitive [start, end] ranges of each term in text (non-overlapping)
+  function rangesOf(text, terms) {
+    const lower = text.toLowerCase();
+    const ranges = [];
+    for (const term of terms) {
+      for (let i = lower.indexOf(term); i !== -1; i = lower.indexOf(term, i + term.length)) {
+        ranges.push([i, i + term.length]);
+      }
+    }
+    ranges.sort((a, b) => a[0] - b[0]);
+    return ranges.filter((r, i) => i === 0 || r[0] >= ranges[i - 1][1]);
+  }
+
+  // Append text to el, wrapping the given ranges in <mark> (no innerHTML)
+  function appendHighlighted(el, text, ranges) {
+    let pos = 0;
+    for (const [start, end] of ranges) {
+      if (start > pos) el.appendChild(document.createTextNode(text.slice(pos, start)));
+      const mark = document.createElement('mark');
+      mark.textContent = text.slice(start, end);
+      el.appendChild(mark);
+      pos = end;
+    }
+    if (pos < text.length) el.appendChild(document.createTextNode(text.slice(pos)));
+  }
+
   function button(text, cls, onClick) {
     const b = document.createElement('button');
     b.className = cls;
@@ -234,9 +576,12 @@ document.addEventListener('DOMContentLoaded', () => {
   // ========================================================
   function wireFolderButtons() {
     els.addFolderBtn.addEventListener('click', () => {
-      const name = prompt('New folder name:', 'My Folder');
+      // With a real folder selected, the new folder is created inside it
+      const parent = isPseudoFolder(selectedFolderId) ? null : ETCore.listFolders().find(f => f.id === selectedFolderId);
+      const name = prompt(parent ? `New folder inside "${parent.name}":` : 'New folder name:', 'My Folder');
       if (!name) return;
-      const f = ETCore.createFolder(name);
+      const f = ETCore.createFolder(name, parent ? parent.id : null);
+      if (parent) collapsedFolders.delete(parent.id);
       renderFolders();
       // Auto-select newly created folder
       selectedFolderId = f.id;
@@ -245,7 +590,7 @@ document.addEventListener('DOMContentLoaded', () => {
     });
 
     els.renameFolderBtn.addEventListener('click', () => {
-      if (selectedFolderId === 'ALL') {
+      if (isPseudoFolder(selectedFolderId)) {
         alert('Select a folder to rename.');
         return;
       }
@@ -262,11 +607,12 @@ document.addEventListener('DOMContentLoaded', () => {
     });
 
     els.deleteFolderBtn.addEventListener('click', () => {
-      if (selectedFolderId === 'ALL') {
+      if (isPseudoFolder(selectedFolderId)) {
         alert('Select a folder to delete.');
         return;
       }
-      const folder = ETCore.listFolders().find(f => f.id === selectedFolderId);
+      const folders = ETCore.listFolders();
+      const folder = folders.find(f => f.id === selectedFolderId);
       if (!folder) {
         alert('Folder not found.');
         return;
@@ -274,9 +620,14 @@ document.addEventListener('DOMContentLoaded', () => {
       const sure = confirm(`Delete folder "${folder.name}"?`);
       if (!sure) return;
 
+      // Subfolders: delete with it, or move up a level
+      const subCount = ETCore.descendantFolderIds(folder.id, folders).length;
+      const cascade = subCount > 0 && confirm(`"${folder.name}" has ${subCount} subfolder${subCount === 1 ? '' : 's'}. Delete them too?\nOK = delete subfolders, Cancel = move them up a level.`);
+
       // Ask whether to also delete all templates in the folder
-      const alsoDelete = confirm('Also delete all templates inside this folder?\nOK = delete templates, Cancel = keep templates (move to "No folder").');
-      ETCore.deleteFolder(folder.id, alsoDelete ? 'deleteTemplates' : 'keep');
+      const alsoDelete = confirm('Also delete all templates inside this folder?\nOK = move templates to Trash with the folder, Cancel = keep templates (move to "No folder").');
+      const trashId = ETCore.deleteFolder(folder.id, alsoDelete ? 'deleteTemplates' : 'keep', { subfolders: cascade ? 'cascade' : 'keep' });
+      showUndoToast(`Folder "${folder.name}" moved to Trash.`, trashId);
 
       // Reset selection to All after deletion
       selectedFolderId = 'ALL';
@@ -294,45 +645,230 @@ document.addEventListener('DOMContentLoaded', () => {
     els.searchInput.addEventListener('input', () => {
       renderTemplates();
     });
+
+    els.usesFilter.addEventListener('change', () => {
+      renderTemplates();
+    });
+
+    els.sortSelect.addEventListener('change', () => {
+      try {
+        localStorage.setItem(CACHE_KEY_SORT, els.sortSelect.value);
+      } catch {}
+      renderTemplates();
+    });
+  }
+
+  function restoreSort() {
+    const saved = localStorage.getItem(CACHE_KEY_SORT);
+    if (Array.from(els.sortSelect.options).some(o => o.value === saved)) els.sortSelect.value = saved;
+  }
+
+  function populateUsesFilter() {
+    const current = els.usesFilter.value;
+    els.usesFilter.querySelectorAll('option:not([value=""])').forEach(o => o.remove());
+    for (const f of ETCore.listFields()) {
+      const opt = document.createElement('option');
+      opt.value = f.key;
+      opt.textContent = `Uses {{${f.key}}}`;
+      els.usesFilter.appendChild(opt);
+    }
+    els.usesFilter.value = ETCore.getField(current) ? current : '';
+  }
+
+  // ========================================================
+  // Tags (filter bar, Tags card, editor suggestions)
+  // ========================================================
+  function wireTags() {
+    els.tagMode.addEventListener('change', () => {
+      if (selectedTags.size > 1) renderTemplates();
+    });
+    els.editTags.addEventListener('input', renderEditTagSuggestions);
+    els.editTags.addEventListener('change', () => {
+      els.editTags.value = ETCore.parseTags(els.editTags.value).join(', ');
+    });
+  }
+
+  function hasSelectedTag(tag) {
+    return Array.from(selectedTags).some(x => ETCore.sameTag(x, tag));
+  }
+
+  function toggleTagFilter(tag) {
+    const existing = Array.from(selectedTags).find(x => ETCore.sameTag(x, tag));
+    if (existing) selectedTags.delete(existing);
+    else selectedTags.add(tag);
+    renderTemplates();
+  }
+
+  // A chip that toggles `tag` in the filter
+  function tagChip(tag, pressed, count = null) {
+    const chip = button(count === null ? tag : `${tag} (${count})`, 'tag-chip', () => toggleTagFilter(tag));
+    chip.setAttribute('aria-pressed', String(pressed));
+    chip.title = pressed ? `Stop filtering by "${tag}"` : `Show templates tagged "${tag}"`;
+    return chip;
+  }
+
+  function renderTags() {
+    const tags = ETCore.listTags();
+    // Drop filter tags that no longer exist (renamed, deleted, last template gone)
+    for (const tag of Array.from(selectedTags)) {
+      if (!tags.some(t => ETCore.sameTag(t.name, tag))) selectedTags.delete(tag);
+    }
+
+    els.tagFilterBar.classList.toggle('hidden', selectedFolderId === 'TRASH' || tags.length === 0);
+    els.tagFilterList.innerHTML = '';
+    for (const { name, count } of tags) {
+      els.tagFilterList.appendChild(tagChip(name, hasSelectedTag(name), count));
+    }
+
+    els.tagsEmpty.classList.toggle('hidden', tags.length > 0);
+    els.tagList.innerHTML = '';
+    for (const { name, count } of tags) {
+      const row = document.createElement('div');
+      row.className = 'list-item';
+
+      const left = document.createElement('div');
+      const title = document.createElement('div');
+      title.className = 'item-title';
+      title.textContent = name;
+      const sub = document.createElement('div');
+      sub.className = 'item-sub';
+      sub.textContent = `${count} template${count === 1 ? '' : 's'}`;
+      left.appendChild(title);
+      left.appendChild(sub);
+
+      const actions = document.createElement('div');
+      actions.className = 'row';
+      actions.appendChild(button('Show', 'btn btn-outline btn-small', () => {
+        selectedTags.clear();
+        selectedTags.add(name);
+        if (selectedFolderId === 'TRASH') {
+          selectedFolderId = 'ALL';
+          renderFolders();
+          highlightSelectedFolder();
+        }
+        renderTemplates();
+        els.templateList.scrollIntoView({ behavior: 'smooth', block: 'start' });
+      }));
+      actions.appendChild(button('Rename', 'btn btn-outline btn-small', () => renameTag(name)));
+      actions.appendChild(button('Delete', 'btn btn-danger btn-small', () => deleteTag(name, count)));
+
+      row.appendChild(left);
+      row.appendChild(actions);
+      els.tagList.appendChild(row);
+    }
+  }
+
+  function renameTag(name) {
+    const next = prompt(`Rename tag "${name}" to (an existing tag name merges them):`, name);
+    if (next === null) return;
+    const [target] = ETCore.parseTags(next);
+    if (!target || target === name) return;
+    const existing = ETCore.listTags().find(t => !ETCore.sameTag(t.name, name) && ETCore.sameTag(t.name, target));
+    if (existing && !confirm(`Merge "${name}" into "${existing.name}"? Templates with either tag keep one "${existing.name}".`)) return;
+
+    ETCore.renameTag(name, existing ? existing.name : target);
+    if (hasSelectedTag(name)) {
+      selectedTags.delete(Array.from(selectedTags).find(x => ETCore.sameTag(x, name)));
+      selectedTags.add(existing ? existing.name : target);
+    }
+    refreshAfterTagChange();
+  }
+
+  function deleteTag(name, count) {
+    const sure = confirm(`Remove the tag "${name}" from ${count} template${count === 1 ? '' : 's'}? The templates are kept.`);
+    if (!sure) return;
+    ETCore.deleteTag(name);
+    refreshAfterTagChange();
+  }
+
+  // The open editor shows saved tags unless the user has typed their own
+  function refreshAfterTagChange() {
+    if (editingTemplateId && editSnapshot) {
+      const t = ETCore.getTemplate(editingTemplateId);
+      const untouched = ETCore.parseTags(els.editTags.value).join(', ') === editSnapshot.tags;
+      if (t && untouched) {
+        els.editTags.value = (t.tags || []).join(', ');
+        editSnapshot.tags = ETCore.parseTags(els.editTags.value).join(', ');
+      }
+      renderEditTagSuggestions();
+    }
+    renderTemplates();
+  }
+
+  // Library tags the open template doesn't have yet; clicking one appends it
+  function renderEditTagSuggestions() {
+    const current = ETCore.parseTags(els.editTags.value);
+    els.editTagSuggestions.innerHTML = '';
+    for (const { name } of ETCore.listTags()) {
+      if (current.some(x => ETCore.sameTag(x, name))) continue;
+      const chip = button(`+ ${name}`, 'tag-chip', () => {
+        els.editTags.value = ETCore.parseTags([...ETCore.parseTags(els.editTags.value), name]).join(', ');
+        renderEditTagSuggestions();
+      });
+      chip.title = `Add the "${name}" tag`;
+      els.editTagSuggestions.appendChild(chip);
+    }
   }
 
   // ========================================================
   // Template editor (inline)
   // ========================================================
-  function openEditor(templateId) {
+  // force: reload even if this template is already open (e.g. after a restore)
+  // scroll: bring the editor into view (not when another tab triggered the reload)
+  function openEditor(templateId, { force = false, scroll = true } = {}) {
     const t = ETCore.getTemplate(templateId);
     if (!t) return;
+    if (!force && t.id === editingTemplateId) {
+      els.editorCard.scrollIntoView({ behavior: 'smooth', block: 'start' });
+      return;
+    }
+    if (!force && !confirmDiscardEdits()) return;
 
     editingTemplateId = t.id;
     els.editName.value = t.name || '';
     els.editSubject.value = t.subject || '';
     els.editBody.value = t.content || '';
+    els.editFormat.value = t.format || 'text';
+    els.editTags.value = (t.tags || []).join(', ');
+    renderEditTagSuggestions();
+    bodyEditor.refresh();
     els.editMeta.textContent = `Created ${formatDisplayDate(t.createdAt)} • Updated ${formatDisplayDate(t.updatedAt)}`;
+    els.openInBuilderLink.href = `builder.html?id=${encodeURIComponent(t.id)}`;
 
     populateEditFolderOptions(t.folderId);
+    editSnapshot = currentEditValues();
+    editBase = t;
+    showEditConflict('');
+    renderHistory();
 
     els.editorCard.classList.remove('hidden');
-    els.editorCard.scrollIntoView({ behavior: 'smooth', block: 'start' });
+    if (scroll) els.editorCard.scrollIntoView({ behavior: 'smooth', block: 'start' });
   }
 
   function closeEditor() {
     editingTemplateId = null;
+    editSnapshot = null;
+    editBase = null;
+    showEditConflict('');
+    ETCore.clearDraft(EDIT_DRAFT_SLOT);
     els.editorCard.classList.add('hidden');
     els.editName.value = '';
     els.editSubject.value = '';
     els.editBody.value = '';
+    els.editTags.value = '';
+    bodyEditor.refresh();
     els.editMeta.textContent = '—';
+    toggleHistory(false);
     // keep folder select as-is; it will be repopulated when reopened
   }
 
   function populateEditFolderOptions(selectedId) {
     // keep first placeholder
     els.editFolder.querySelectorAll('option:not([value=""])').forEach(o => o.remove());
-    const folders = ETCore.listFolders();
-    for (const f of folders) {
+    for (const { folder, path } of ETCore.listFolderTree()) {
       const opt = document.createElement('option');
-      opt.value = f.id;
-      opt.textContent = f.name;
+      opt.value = folder.id;
+      opt.textContent = path;
       els.editFolder.appendChild(opt);
     }
     els.editFolder.value = selectedId || '';
@@ -340,6 +876,7 @@ document.addEventListener('DOMContentLoaded', () => {
 
   function wireEditorButtons() {
     els.cancelEditBtn.addEventListener('click', () => {
+      if (!confirmDiscardEdits()) return;
       closeEditor();
     });
 
@@ -349,14 +886,33 @@ document.addEventListener('DOMContentLoaded', () => {
         name: (els.editName.value || '').trim(),
         subject: (els.editSubject.value || '').trim(),
         content: els.editBody.value || '',
-        folderId: els.editFolder.value || null
+        format: els.editFormat.value || 'text',
+        folderId: els.editFolder.value || null,
+        tags: ETCore.parseTags(els.editTags.value)
       };
       if (!patch.name) {
         alert('Template name cannot be empty.');
         els.editName.focus();
         return;
       }
-      ETCore.updateTemplate(editingTemplateId, patch);
+      // On a conflict, ask; OK overwrites exactly the version just named
+      let expected = editBase;
+      let saved = null;
+      while (saved === null) {
+        try {
+          saved = ETCore.updateTemplate(editingTemplateId, patch, { expected });
+        } catch (err) {
+          if (!(err instanceof ETCore.StoreConflictError)) throw err;
+          // (also after a move or tag rename on this page while the editor was open)
+          const sure = confirm(`"${err.actual.name}" was changed elsewhere after you opened it. Overwrite those changes with yours?`);
+          if (!sure) return;
+          expected = err.actual;
+        }
+      }
+      if (!saved) {
+        alert('This template was deleted in another tab. Restore it from the Trash, then save again (your edits stay open here).');
+        return;
+      }
       closeEditor();
       renderFolders();
       renderTemplates();
@@ -364,25 +920,216 @@ document.addEventListener('DOMContentLoaded', () => {
 
     els.deleteEditBtn.addEventListener('click', () => {
       if (!editingTemplateId) return;
-      const t = ETCore.getTemplate(editingTemplateId);
-      const sure = confirm(`Delete template "${t?.name || 'this template'}"?`);
+      deleteTemplates([editingTemplateId]);
+    });
+  }
+
+  // ========================================================
+  // Unsaved changes + draft autosave (inline editor)
+  // ========================================================
+  function currentEditValues() {
+    return {
+      name: els.editName.value.trim(),
+      subject: els.editSubject.value.trim(),
+      content: els.editBody.value,
+      format: els.editFormat.value || 'text',
+      folderId: els.editFolder.value || null,
+      tags: ETCore.parseTags(els.editTags.value).join(', ')
+    };
+  }
+
+  function isEditorDirty() {
+    if (!editingTemplateId || !editSnapshot) return false;
+    const now = currentEditValues();
+    return Object.keys(now).some(k => now[k] !== editSnapshot[k]);
+  }
+
+  // true when there is nothing to lose or the user agrees to drop it
+  function confirmDiscardEdits() {
+    if (!isEditorDirty()) return true;
+    return confirm(`Discard unsaved changes to "${els.editName.value.trim() || 'this template'}"?`);
+  }
+
+  function autosaveDraft() {
+    if (isEditorDirty()) ETCore.saveDraft(EDIT_DRAFT_SLOT, { templateId: editingTemplateId, ...currentEditValues() });
+    else ETCore.clearDraft(EDIT_DRAFT_SLOT);
+  }
+
+  function wireUnsavedProtection() {
+    window.addEventListener('beforeunload', (e) => {
+      // A save that hasn't reached storage yet counts as unsaved too
+      const dirty = isEditorDirty();
+      if (!dirty && !ETCore.hasPendingWrites()) return;
+      if (dirty) autosaveDraft();
+      e.preventDefault();
+      e.returnValue = ''; // legacy browsers need this to show the prompt
+    });
+    setInterval(autosaveDraft, AUTOSAVE_MS);
+  }
+
+  function offerDraftRecovery() {
+    const draft = ETCore.loadDraft(EDIT_DRAFT_SLOT);
+    if (!draft) return;
+    const t = draft.templateId ? ETCore.getTemplate(draft.templateId) : null;
+    const when = formatDisplayDateTime(draft.savedAt);
+    if (!t || !confirm(`Recover unsaved changes to "${t.name}" from ${when}?\nCancel discards them.`)) {
+      ETCore.clearDraft(EDIT_DRAFT_SLOT);
+      return;
+    }
+    openEditor(t.id);
+    els.editName.value = draft.name || '';
+    els.editSubject.value = draft.subject || '';
+    els.editBody.value = draft.content || '';
+    els.editFormat.value = draft.format || 'text';
+    els.editFolder.value = draft.folderId || ''; // "No folder" if it was deleted
+    els.editTags.value = draft.tags || '';
+    renderEditTagSuggestions();
+    bodyEditor.refresh();
+  }
+
+  // ========================================================
+  // Cross-tab sync
+  // ========================================================
+  // Another tab saved: everything is re-read from the store. Unsaved inline
+  // edits are never replaced; the note explains what Save will do instead.
+  function syncFromOtherTab() {
+    if (!isPseudoFolder(selectedFolderId) && !ETCore.listFolders().some(f => f.id === selectedFolderId)) {
+      selectedFolderId = 'ALL';
+    }
+    populateUsesFilter();
+    renderFolders();
+    renderTemplates();
+    renderFields();
+
+    if (!editingTemplateId) return;
+    const t = ETCore.getTemplate(editingTemplateId);
+    if (!t) {
+      showEditConflict('Deleted in another tab. Restore it from the Trash to save these edits.');
+    } else if (t.updatedAt !== editBase.updatedAt) {
+      if (isEditorDirty()) showEditConflict('Changed in another tab. Saving will ask before overwriting that version.');
+      else openEditor(t.id, { force: true, scroll: false });
+    } else {
+      showEditConflict('');
+    }
+  }
+
+  function showEditConflict(message) {
+    els.editConflictNote.textContent = message;
+    els.editConflictNote.classList.toggle('hidden', !message);
+  }
+
+  // ========================================================
+  // Revision history
+  // ========================================================
+  function wireHistory() {
+    els.historyBtn.addEventListener('click', () => {
+      toggleHistory(els.historyPanel.classList.contains('hidden'));
+    });
+
+    els.restoreRevisionBtn.addEventListener('click', () => {
+      if (!editingTemplateId || !selectedRevisionId) return;
+      const sure = confirm(isEditorDirty()
+        ? 'Restore this version? Your unsaved edits will be lost; the saved version stays in the history.'
+        : 'Restore this version? The current version stays in the history.');
       if (!sure) return;
-      ETCore.deleteTemplate(editingTemplateId);
-      closeEditor();
-      renderFolders();
+      ETCore.restoreRevision(editingTemplateId, selectedRevisionId);
+      openEditor(editingTemplateId, { force: true });
+      toggleHistory(true);
       renderTemplates();
     });
   }
 
+  function toggleHistory(open) {
+    els.historyPanel.classList.toggle('hidden', !open);
+    els.historyBtn.setAttribute('aria-expanded', String(open));
+    if (open) renderHistory();
+  }
+
+  function renderHistory() {
+    selectedRevisionId = null;
+    els.revisionList.innerHTML = '';
+    els.revisionDiff.innerHTML = '';
+    els.restoreRevisionBtn.disabled = true;
+    els.diffTitle.textContent = 'Select a revision to compare with the current version';
+    if (!editingTemplateId) return;
+
+    const revisions = ETCore.listRevisions(editingTemplateId);
+    if (revisions.length === 0) {
+      const empty = document.createElement('div');
+      empty.className = 'empty';
+      empty.textContent = 'No earlier versions yet. Each save keeps the previous one here.';
+      els.revisionList.appendChild(empty);
+      return;
+    }
+
+    for (const rev of revisions) {
+      const row = document.createElement('div');
+      row.className = 'list-item';
+      row.dataset.id = rev.id;
+      row.tabIndex = 0;
+
+      const left = document.createElement('div');
+      const title = document.createElement('div');
+      title.className = 'item-title';
+      title.textContent = formatDisplayDateTime(rev.savedAt);
+      const sub = document.createElement('div');
+      sub.className = 'item-sub';
+      sub.textContent = rev.name;
+      left.appendChild(title);
+      left.appendChild(sub);
+      row.appendChild(left);
+
+      row.addEventListener('click', () => showRevision(rev.id));
+      row.addEventListener('keydown', (e) => {
+        if (e.key === 'Enter' || e.key === ' ') {
+          e.preventDefault();
+          row.click();
+        }
+      });
+      els.revisionList.appendChild(row);
+    }
+  }
+
+  function showRevision(revisionId) {
+    const t = ETCore.getTemplate(editingTemplateId);
+    const rev = ETCore.listRevisions(editingTemplateId).find(r => r.id === revisionId);
+    if (!t || !rev) return;
+
+    selectedRevisionId = revisionId;
+    els.revisionList.querySelectorAll('.list-item').forEach(li => {
+      if (li.dataset.id === revisionId) li.setAttribute('aria-selected', 'true');
+      else li.removeAttribute('aria-selected');
+    });
+
+    els.diffTitle.textContent = `${formatDisplayDateTime(rev.savedAt)} → current`;
+    els.restoreRevisionBtn.disabled = false;
+
+    // Compare name + subject + body so every saved field shows up in the diff
+    const asText = x => `Name: ${x.name}\nSubject: ${x.subject || ''}\nFormat: ${x.format || 'text'}\n\n${x.content || ''}`;
+    els.revisionDiff.innerHTML = '';
+    for (const line of ETCore.diffLines(asText(rev), asText(t))) {
+      const div = document.createElement('div');
+      div.className = `diff-line diff-${line.type}`;
+      div.textContent = line.text;
+      els.revisionDiff.appendChild(div);
+    }
+  }
+
+  function formatDisplayDateTime(iso) {
+    const d = new Date(iso);
+    if (Number.isNaN(d.getTime())) return '—';
+    return d.toLocaleString(undefined, { dateStyle: 'medium', timeStyle: 'short' });
+  }
+
   // ========================================================
   // Move dialog
   // ========================================================
   function wireMoveDialog() {
     // Confirm
     els.moveConfirmBtn.addEventListener('click', () => {
-      if (!pendingMoveTemplateId) { closeMoveDialog(); return; }
+      if (pendingMoveTemplateIds.length === 0) { closeMoveDialog(); return; }
       const targetFolderId = els.moveSelect.value || null;
-      ETCore.moveTemplatesToFolder([pendingMoveTemplateId], targetFolderId);
+      ETCore.moveTemplatesToFolder(pendingMoveTemplateIds, targetFolderId);
       closeMoveDialog();
       renderFolders();
       renderTemplates();
@@ -406,14 +1153,19 @@ document.addEventListener('DOMContentLoaded', () => {
     });
   }
 
-  function openMoveDialog(templateId) {
-    const t = ETCore.getTemplate(templateId);
-    if (!t) return;
+  function openMoveDialog(templateIds) {
+    const templates = templateIds.map(id => ETCore.getTemplate(id)).filter(Boolean);
+    if (templates.length === 0) return;
 
-    pendingMoveTemplateId = templateId;
+    pendingMoveTemplateIds = templates.map(t => t.id);
     lastFocusedBeforeDialog = document.activeElement;
 
-    populateMoveOptions(t.folderId || null);
+    // Preselect the current folder when every template shares it
+    const folderIds = new Set(templates.map(t => t.folderId || null));
+    populateMoveOptions(folderIds.size === 1 ? templates[0].folderId : null);
+    els.moveTitle.textContent = templates.length === 1
+      ? 'Move template'
+      : `Move ${templates.length} templates`;
 
     els.moveDialog.classList.remove('hidden');
     els.moveSelect.focus();
@@ -421,7 +1173,7 @@ document.addEventListener('DOMContentLoaded', () => {
 
   function closeMoveDialog() {
     els.moveDialog.classList.add('hidden');
-    pendingMoveTemplateId = null;
+    pendingMoveTemplateIds = [];
     // restore focus
     if (lastFocusedBeforeDialog && typeof lastFocusedBeforeDialog.focus === 'function') {
       lastFocusedBeforeDialog.focus();
@@ -436,11 +1188,10 @@ document.addEventListener('DOMContentLoaded', () => {
     noneOpt.textContent = '— No folder —';
     els.moveSelect.appendChild(noneOpt);
 
-    const folders = ETCore.listFolders();
-    for (const f of folders) {
+    for (const { folder, path } of ETCore.listFolderTree()) {
       const opt = document.createElement('option');
-      opt.value = f.id;
-      opt.textContent = f.name;
+      opt.value = folder.id;
+      opt.textContent = path;
       els.moveSelect.appendChild(opt);
     }
 
@@ -448,17 +1199,515 @@ document.addEventListener('DOMContentLoaded', () => {
   }
 
   // ========================================================
-  // Template delete helper
+  // Selection + bulk actions
   // ========================================================
-  function deleteTemplate(templateId) {
-    const t = ETCore.getTemplate(templateId);
-    const sure = confirm(`Delete template "${t?.name || 'this template'}"?`);
+  function wireBulkActions() {
+    els.selectAllTemplates.addEventListener('change', () => {
+      const ids = visibleTemplateIds();
+      for (const id of ids) {
+        if (els.selectAllTemplates.checked) selectedTemplateIds.add(id);
+        else selectedTemplateIds.delete(id);
+      }
+      lastCheckedTemplateId = null;
+      syncRowChecks();
+    });
+
+    els.bulkMoveBtn.addEventListener('click', () => openMoveDialog(Array.from(selectedTemplateIds)));
+    els.bulkDuplicateBtn.addEventListener('click', () => duplicateTemplates(Array.from(selectedTemplateIds)));
+    els.bulkDeleteBtn.addEventListener('click', () => deleteTemplates(Array.from(selectedTemplateIds)));
+  }
+
+  function visibleTemplateIds() {
+    return Array.from(els.templateList.querySelectorAll('.list-item')).map(row => row.dataset.id);
+  }
+
+  // Shift-click selects (or clears) everything between the last clicked row and this one
+  function toggleTemplateSelection(id, checked, extendRange) {
+    const ids = visibleTemplateIds();
+    const from = ids.indexOf(lastCheckedTemplateId);
+    const to = ids.indexOf(id);
+    const range = extendRange && from !== -1 && to !== -1
+      ? ids.slice(Math.min(from, to), Math.max(from, to) + 1)
+      : [id];
+    for (const x of range) {
+      if (checked) selectedTemplateIds.add(x);
+      else selectedTemplateIds.delete(x);
+    }
+    lastCheckedTemplateId = id;
+    syncRowChecks();
+  }
+
+  function syncRowChecks() {
+    els.templateList.querySelectorAll('.list-item').forEach(row => {
+      const on = selectedTemplateIds.has(row.dataset.id);
+      row.classList.toggle('selected', on);
+      const check = row.querySelector('.row-check');
+      if (check) check.checked = on;
+    });
+    updateSelectionUi();
+  }
+
+  function updateSelectionUi() {
+    const n = selectedTemplateIds.size;
+    const total = visibleTemplateIds().length;
+    els.selectionCount.textContent = n ? `${n} selected` : 'Select all';
+    els.selectAllTemplates.checked = n > 0 && n === total;
+    els.selectAllTemplates.indeterminate = n > 0 && n < total;
+    els.bulkMoveBtn.disabled = n === 0;
+    els.bulkDuplicateBtn.disabled = n === 0;
+    els.bulkDeleteBtn.disabled = n === 0;
+  }
+
+  // Copies land next to their originals and become the new selection
+  function duplicateTemplates(templateIds) {
+    const copies = templateIds.map(id => ETCore.duplicateTemplate(id)).filter(Boolean);
+    if (copies.length === 0) return;
+    selectedTemplateIds.clear();
+    for (const t of copies) selectedTemplateIds.add(t.id);
+    lastCheckedTemplateId = null;
+    renderFolders();
+    renderTemplates();
+  }
+
+  // No confirm: the templates go to the Trash and the toast offers one Undo for all of them
+  function deleteTemplates(templateIds) {
+    const templates = templateIds.map(id => ETCore.getTemplate(id)).filter(Boolean);
+    if (templates.length === 0) return;
+
+    const trashIds = templates.map(t => ETCore.deleteTemplate(t.id));
+    if (templates.some(t => t.id === editingTemplateId)) closeEditor();
+    for (const t of templates) selectedTemplateIds.delete(t.id);
+
+    renderFolders();
+    renderTemplates();
+    showUndoToast(templates.length === 1
+      ? `"${templates[0].name}" moved to Trash.`
+      : `${templates.length} templates moved to Trash.`, trashIds);
+  }
+
+  // ========================================================
+  // Trash + Undo toast
+  // ========================================================
+  function wireTrash() {
+    els.trashRetention.value = String(ETCore.trashRetentionDays());
+    els.trashRetention.addEventListener('change', () => {
+      ETCore.setTrashRetentionDays(els.trashRetention.value);
+      ETCore.purgeExpiredTrash();
+      renderFolders();
+      renderTemplates();
+    });
+
+    els.emptyTrashBtn.addEventListener('click', () => {
+      if (ETCore.listTrash().length === 0) return;
+      const sure = confirm('Permanently delete everything in the Trash? This cannot be undone.');
+      if (!sure) return;
+      ETCore.emptyTrash();
+      renderFolders();
+      renderTemplates();
+    });
+
+    els.toastUndoBtn.addEventListener('click', () => {
+      for (const id of undoTrashIds) ETCore.restoreFromTrash(id);
+      hideToast();
+      renderFolders();
+      renderTemplates();
+    });
+  }
+
+  function renderTrash() {
+    const entries = ETCore.listTrash();
+    els.templatesEmpty.classList.toggle('hidden', entries.length > 0);
+    if (entries.length === 0) return;
+
+    const days = ETCore.trashRetentionDays();
+    for (const entry of entries) {
+      const row = document.createElement('div');
+      row.className = 'list-item';
+      row.dataset.id = entry.id;
+
+      const left = document.createElement('div');
+      const title = document.createElement('div');
+      title.className = 'item-title';
+      const sub = document.createElement('div');
+      sub.className = 'item-sub';
+
+      const expires = new Date(new Date(entry.deletedAt).getTime() + days * 24 * 60 * 60 * 1000);
+      const when = `Deleted ${formatDisplayDate(entry.deletedAt)} • Gone after ${formatDisplayDate(expires.toISOString())}`;
+      if (entry.kind === 'folder') {
+        const n = entry.templates.length;
+        title.textContent = `Folder: ${entry.folder.name}`;
+        sub.textContent = `${n} template${n === 1 ? '' : 's'} • ${when}`;
+      } else {
+        title.textContent = entry.template.name;
+        sub.textContent = when;
+      }
+
+      left.appendChild(title);
+      left.appendChild(sub);
+
+      const actions = document.createElement('div');
+      actions.className = 'row';
+      actions.appendChild(button('Restore', 'btn btn-outline btn-small', () => {
+        ETCore.restoreFromTrash(entry.id);
+        renderFolders();
+        renderTemplates();
+      }));
+      actions.appendChild(button('Delete forever', 'btn btn-danger btn-small', () => {
+        const sure = confirm(`Permanently delete "${entry.kind === 'folder' ? entry.folder.name : entry.template.name}"?`);
+        if (!sure) return;
+        ETCore.purgeTrashEntry(entry.id);
+        renderFolders();
+        renderTemplates();
+      }));
+
+      row.appendChild(left);
+      row.appendChild(actions);
+      els.templateList.appendChild(row);
+    }
+  }
+
+  // trashIds: one trash entry id or an array of them (bulk delete)
+  function showUndoToast(message, trashIds) {
+    const ids = [].concat(trashIds).filter(Boolean);
+    if (ids.length === 0) return;
+    undoTrashIds = ids;
+    els.toastMsg.textContent = message;
+    els.toast.classList.remove('hidden');
+    clearTimeout(toastTimer);
+    toastTimer = setTimeout(hideToast, 8000);
+  }
+
+  function hideToast() {
+    clearTimeout(toastTimer);
+    undoTrashIds = [];
+    els.toast.classList.add('hidden');
+  }
+
+  // ========================================================
+  // Placeholder fields
+  // ========================================================
+  function renderFields() {
+    bodyEditor.refresh(); // known/unknown highlighting follows the field list
+    els.fieldList.innerHTML = '';
+    for (const f of ETCore.listFields()) {
+      const row = document.createElement('div');
+      row.className = 'list-item';
+      row.dataset.key = f.key;
+
+      const left = document.createElement('div');
+      const title = document.createElement('div');
+      title.className = 'item-title';
+      title.textContent = `{{${f.key}}}`;
+
+      const sub = document.createElement('div');
+      sub.className = 'item-sub';
+      const defaultLabel = f.defaultValue ? ` • Default "${f.defaultValue}"` : '';
+      sub.textContent = `${f.label} • ${f.type}${defaultLabel}`;
+
+      left.appendChild(title);
+      left.appendChild(sub);
+
+      const actions = document.createElement('div');
+      actions.className = 'row';
+      actions.appendChild(button('Edit', 'btn btn-outline btn-small', () => openFieldDialog(f.key)));
+      actions.appendChild(button('Delete', 'btn btn-danger btn-small', () => deleteField(f.key)));
+
+      row.appendChild(left);
+      row.appendChild(actions);
+      els.fieldList.appendChild(row);
+    }
+  }
+
+  function wireFieldDialog() {
+    els.addFieldBtn.addEventListener('click', () => openFieldDialog(null));
+    els.fieldSaveBtn.addEventListener('click', saveField);
+    els.fieldCancelBtn.addEventListener('click', closeFieldDialog);
+
+    els.fieldDialog.addEventListener('click', (e) => {
+      if (e.target === els.fieldDialog) closeFieldDialog();
+    });
+    document.addEventListener('keydown', (e) => {
+      if (e.key === 'Escape' && !els.fieldDialog.classList.contains('hidden')) {
+        closeFieldDialog();
+      }
+    });
+  }
+
+  function openFieldDialog(key) {
+    const f = key ? ETCore.getField(key) : null;
+    if (key && !f) return;
+
+    editingFieldKey = key;
+    editingField = f;
+    lastFocusedBeforeDialog = document.activeElement;
+
+    els.fieldTitle.textContent = f ? 'Edit field' : 'Add field';
+    els.fieldKey.value = f ? f.key : '';
+    els.fieldKey.disabled = !!f; // keys are referenced by templates, so they never change
+    els.fieldLabel.value = f ? f.label : '';
+    els.fieldType.value = f ? f.type : 'text';
+    els.fieldDefault.value = f ? f.defaultValue : '';
+    els.fieldError.textContent = '';
+
+    els.fieldDialog.classList.remove('hidden');
+    (f ? els.fieldLabel : els.fieldKey).focus();
+  }
+
+  function closeFieldDialog() {
+    els.fieldDialog.classList.add('hidden');
+    editingFieldKey = null;
+    editingField = null;
+    if (lastFocusedBeforeDialog && typeof lastFocusedBeforeDialog.focus === 'function') {
+      lastFocusedBeforeDialog.focus();
+    }
+  }
+
+  function saveField() {
+    const field = {
+      key: (els.fieldKey.value || '').trim(),
+      label: (els.fieldLabel.value || '').trim(),
+      type: els.fieldType.value,
+      defaultValue: els.fieldDefault.value || ''
+    };
+    if (editingFieldKey) field.key = editingFieldKey;
+
+    const error = ETCore.validateField(field, editingFieldKey);
+    if (error) {
+      els.fieldError.textContent = error;
+      return;
+    }
+
+    if (editingFieldKey) {
+      let saved;
+      try {
+        saved = ETCore.updateField(editingFieldKey, field, { expected: editingField });
+      } catch (err) {
+        if (!(err instanceof ETCore.StoreConflictError)) throw err;
+        const sure = confirm(`The field "${editingFieldKey}" was changed in another tab after you opened it. Overwrite those changes with yours?`);
+        if (!sure) return;
+        saved = ETCore.updateField(editingFieldKey, field);
+      }
+      if (!saved) {
+        els.fieldError.textContent = 'This field was deleted in another tab.';
+        return;
+      }
+    } else {
+      ETCore.createField(field);
+    }
+    closeFieldDialog();
+    renderFields();
+    populateUsesFilter();
+  }
+
+  function deleteField(key) {
+    const inUse = ETCore.listTemplates().filter(t => ETCore.placeholderKeys(`${t.subject || ''}\n${t.content || ''}`).includes(key));
+    const usage = inUse.length ? `\nIt is used by ${inUse.length} template${inUse.length === 1 ? '' : 's'}; those placeholders will render empty.` : '';
+    const sure = confirm(`Delete field "${key}"?${usage}`);
     if (!sure) return;
+    ETCore.deleteField(key);
+    renderFields();
+    populateUsesFilter();
+    renderTemplates();
+  }
+
+  // ========================================================
+  // Backup — export / import
+  // ========================================================
+  // Warn from this share of the quota on
+  const STORAGE_WARN_RATIO = 0.8;
+
+  function formatBytes(bytes) {
+    if (bytes < 1024) return `${bytes} B`;
+    if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+    if (bytes < 1024 * 1024 * 1024) return `${(bytes / 1024 / 1024).toFixed(1)} MB`;
+    return `${(bytes / 1024 / 1024 / 1024).toFixed(1)} GB`;
+  }
+
+  // "Stored in IndexedDB • 1.2 MB of 2.0 GB used"; the numbers are the
+  // browser's estimate (localStorage: the library's size against ~5 MB)
+  async function renderStorageUsage() {
+    await ETCore.flush();
+    const info = await ETCore.storageInfo();
+    const parts = [`Stored in ${info.backend}`];
+    const nearlyFull = info.usage !== null && info.quota ? info.usage / info.quota >= STORAGE_WARN_RATIO : false;
+    if (info.usage !== null) {
+      parts.push(info.quota ? `${formatBytes(info.usage)} of ${formatBytes(info.quota)} used` : `${formatBytes(info.usage)} used`);
+    }
+    if (nearlyFull) parts.push('nearly full — empty the Trash or clear the History to free space');
+    els.storageUsage.textContent = parts.join(' • ');
+    els.storageUsage.classList.toggle('helper-warn', nearlyFull);
+  }
+
+  // "Library upgraded from version 1 to 2 on … and 3 problems repaired." or,
+  // when only repairs ran, "Library repaired on …: 3 problems fixed."
+  function describeUpgrade({ fromVersion, toVersion, repairs }, at) {
+    const count = `${repairs.length} problem${repairs.length === 1 ? '' : 's'}`;
+    const when = formatDisplayDateTime(at);
+    if (fromVersion === toVersion) return `Library repaired on ${when}: ${count} fixed.`;
+    return `Library upgraded from version ${fromVersion} to ${toVersion} on ${when}` +
+      (repairs.length ? ` and ${count} repaired.` : '.');
+  }
+
+  // The copy ETCore keeps when loading upgraded or repaired the library
+  async function wireMigrationBackup() {
+    const backup = await ETCore.getMigrationBackup();
+    if (!backup) {
+      const { upgrade } = await ETCore.ready;
+      if (!upgrade || upgrade.backedUp) return;
+      // There was no room for the copy
+      els.migrationText.textContent = upgrade.unreadable
+        ? 'The saved library could not be read, and there was no room to copy it, so it is left untouched and changes made now are not saved. Free up browser storage and reload.'
+        : `${describeUpgrade(upgrade, new Date().toISOString())} There was no room to keep a copy from before.`;
+      [els.migrationDetailsBtn, els.migrationDownloadBtn, els.migrationDiscardBtn].forEach(b => b.classList.add('hidden'));
+      els.migrationNote.classList.remove('hidden');
+      return;
+    }
+    els.migrationText.textContent = backup.fromVersion === null
+      ? `The saved library could not be read on ${formatDisplayDateTime(backup.createdAt)}, so a new one was started. The unreadable data is kept.`
+      : `${describeUpgrade(backup, backup.createdAt)} A copy from before is kept.`;
+    els.migrationNote.classList.remove('hidden');
+
+    els.migrationDetailsBtn.addEventListener('click', () => {
+      const lines = backup.migrations.concat(backup.repairs.length ? ['', 'Repairs:'] : [], backup.repairs.map(r => `• ${r}`));
+      alert(lines.join('\n') || 'No details recorded.');
+    });
+
+    els.migrationDownloadBtn.addEventListener('click', () => {
+      const content = backup.store !== undefined ? JSON.stringify(backup.store, null, 2) : backup.raw;
+      ETCore.downloadFile(`email-templates-before-v${backup.toVersion}-${ETCore.dateStamp()}.json`, content, 'application/json');
+    });
+
+    els.migrationDiscardBtn.addEventListener('click', async () => {
+      if (!confirm('Discard the copy of the library from before the upgrade? This frees its space but can’t be undone.')) return;
+      await ETCore.discardMigrationBackup();
+      els.migrationNote.classList.add('hidden');
+      renderStorageUsage();
+    });
+  }
+
+  function wireBackup() {
+    els.exportAllBtn.addEventListener('click', () => {
+      const data = ETCore.exportLibrary();
+      ETCore.downloadFile(`email-templates-${ETCore.dateStamp()}.json`, JSON.stringify(data, null, 2), 'application/json');
+    });
+
+    els.exportFolderBtn.addEventListener('click', () => {
+      if (isPseudoFolder(selectedFolderId)) {
+        alert('Select a folder to export.');
+        return;
+      }
+      const folder = ETCore.listFolders().find(f => f.id === selectedFolderId);
+      if (!folder) return;
+      const data = ETCore.exportLibrary({ folderId: folder.id });
+      ETCore.downloadFile(`email-templates-${slug(folder.name)}-${ETCore.dateStamp()}.json`, JSON.stringify(data, null, 2), 'application/json');
+    });
+
+    els.importBtn.addEventListener('click', () => {
+      els.importFile.value = '';
+      els.importFile.click();
+    });
+
+    els.importFile.addEventListener('change', async () => {
+      const file = els.importFile.files && els.importFile.files[0];
+      if (!file) return;
+      let parsed;
+      try {
+        parsed = JSON.parse(await file.text());
+      } catch {
+        alert('That file is not valid JSON.');
+        return;
+      }
+      const result = ETCore.validateImport(parsed);
+      if (!result.ok) {
+        alert(`Cannot import this file:\n${result.errors.join('\n')}`);
+        return;
+      }
+      openImportDialog(result);
+    });
+
+    els.importMode.addEventListener('change', renderImportSummary);
+    els.importConflict.addEventListener('change', renderImportSummary);
+    els.importConfirmBtn.addEventListener('click', confirmImport);
+    els.importCancelBtn.addEventListener('click', closeImportDialog);
+    els.importDialog.addEventListener('click', (e) => {
+      if (e.target === els.importDialog) closeImportDialog();
+    });
+    document.addEventListener('keydown', (e) => {
+      if (e.key === 'Escape' && !els.importDialog.classList.contains('hidden')) {
+        closeImportDialog();
+      }
+    });
+  }
+
+  function openImportDialog(result) {
+    pendingImport = result;
+    lastFocusedBeforeDialog = document.activeElement;
+    els.importMode.value = 'merge';
+    els.importConflict.value = 'overwrite';
+    renderImportSummary();
+    els.importDialog.classList.remove('hidden');
+    els.importMode.focus();
+  }
 
-    ETCore.deleteTemplate(templateId);
-    if (editingTemplateId === templateId) closeEditor();
+  function closeImportDialog() {
+    els.importDialog.classList.add('hidden');
+    pendingImport = null;
+    if (lastFocusedBeforeDialog && typeof lastFocusedBeforeDialog.focus === 'function') {
+      lastFocusedBeforeDialog.focus();
+    }
+  }
 
+  function renderImportSummary() {
+    if (!pendingImport) return;
+    const mode = els.importMode.value;
+    els.importConflictField.classList.toggle('hidden', mode !== 'merge');
+
+    const summary = ETCore.previewImport(pendingImport.data, { mode, onConflict: els.importConflict.value });
+    const lines = [];
+    const describe = (label, part) => {
+      const existing = [...part.overwritten, ...part.copied, ...part.skipped];
+      let outcome = '';
+      if (part.overwritten.length) outcome = ' (will be overwritten)';
+      else if (part.copied.length) outcome = ' (imported as copies)';
+      else if (part.skipped.length) outcome = ' (your versions are kept)';
+      lines.push(`${label}: ${part.added.length} new, ${existing.length} already in your library${outcome}`);
+      for (const name of existing) lines.push(`  • ${name}`);
+    };
+    describe('Folders', summary.folders);
+    describe('Templates', summary.templates);
+    describe('Fields', summary.fields);
+    describe('Contacts', summary.contacts);
+    if (summary.removed) {
+      lines.push('');
+      lines.push(`Replacing removes your current ${summary.removed.folders} folder(s), ${summary.removed.templates} template(s) and ${summary.removed.contacts} contact(s).`);
+    }
+    if (pendingImport.errors.length) {
+      lines.push('');
+      lines.push('Skipped:');
+      for (const err of pendingImport.errors) lines.push(`  • ${err}`);
+    }
+    els.importSummary.textContent = lines.join('\n');
+  }
+
+  function confirmImport() {
+    if (!pendingImport) { closeImportDialog(); return; }
+    const mode = els.importMode.value;
+    if (mode === 'replace') {
+      const sure = confirm('Replace your whole library with this file? This cannot be undone.');
+      if (!sure) return;
+    }
+    ETCore.importLibrary(pendingImport.data, { mode, onConflict: els.importConflict.value });
+    closeImportDialog();
+
+    selectedFolderId = 'ALL';
+    closeEditor();
     renderFolders();
     renderTemplates();
+    renderFields();
+    populateUsesFilter();
+  }
+
+  function slug(text) {
+    return String(text).toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'folder';
   }
 });
@@ -0,0 +1,44 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadCore } = require('./helpers/core');
+
+const { ETCore } = loadCore();
+const { formatDate } = ETCore;
+
+test('long and short styles follow the locale', () => {
+  const cases = [
+    ['en-US', 'October 20, 2026', 'Oct 20, 26'],
+    ['en-GB', '20 October 2026', '20 Oct 26'],
+    ['de-DE', '20. Oktober 2026', '20. Okt. 26'],
+    ['fr-FR', '20 octobre 2026', '20 oct. 26'],
+    ['ja-JP', '2026年10月20日', '26年10月20日']
+  ];
+  for (const [locale, long, short] of cases) {
+    assert.equal(formatDate('2026-10-20', 'long', locale), long, locale);
+    assert.equal(formatDate('2026-10-20', 'short', locale), short, locale);
+  }
+});
+
+test('YYYY-MM-DD is read as a local calendar day', () => {
+  // Parsed at local noon, so no time zone moves it to the day before
+  assert.equal(formatDate('2026-01-01', 'long', 'en-US'), 'January 1, 2026');
+  assert.equal(formatDate('2026-12-31', 'long', 'en-US'), 'December 31, 2026');
+});
+
+test('long is the default style', () => {
+  assert.equal(formatDate('2026-10-20', undefined, 'en-US'), 'October 20, 2026');
+});
+
+test('invalid dates come back unchanged', () => {
+  assert.equal(formatDate('garbage', 'long', 'en-US'), 'garbage');
+  assert.equal(formatDate('2026-02-30', 'long', 'en-US'), '2026-02-30');
+  assert.equal(formatDate('2026-13-01', 'long', 'en-US'), '2026-13-01');
+  // Bare numbers are never read as years
+  assert.equal(formatDate('2026', 'long', 'en-US'), '2026');
+});
+
+test('empty input formats as empty text', () => {
+  assert.equal(formatDate(''), '');
+  assert.equal(formatDate(null), '');
+  assert.equal(formatDate(undefined), '');
+});
@@ -0,0 +1,52 @@
+/* =========================================================
+   test/helpers/core.js — load core.js outside the browser
+   - MemoryStorage: a localStorage stand-in backed by a Map
+   - loadCore(): a fresh ETCore (new module instance) over its own storage,
+     optionally pre-filled, so every test starts from a known library
+   ========================================================= */
+
+const path = require('node:path');
+
+const CORE_PATH = path.join(__dirname, '..', '..', 'core.js');
+const STORAGE_KEY = 'emailTemplates.v1';
+
+class MemoryStorage {
+  constructor(entries = {}) {
+    this.map = new Map(Object.entries(entries));
+  }
+
+  get length() {
+    return this.map.size;
+  }
+
+  key(i) {
+    return Array.from(this.map.keys())[i] ?? null;
+  }
+
+  getItem(key) {
+    return this.map.has(key) ? this.map.get(key) : null;
+  }
+
+  setItem(key, value) {
+    this.map.set(key, String(value));
+  }
+
+  removeItem(key) {
+    this.map.delete(key);
+  }
+
+  clear() {
+    this.map.clear();
+  }
+}
+
+// options.store: a library object saved under STORAGE_KEY before loading
+function loadCore({ store = null, storage = new MemoryStorage() } = {}) {
+  if (store) storage.setItem(STORAGE_KEY, JSON.stringify(store));
+  globalThis.localStorage = storage;
+  delete require.cache[CORE_PATH];
+  const ETCore = require(CORE_PATH);
+  return { ETCore, storage };
+}
+
+module.exports = { MemoryStorage, loadCore, STORAGE_KEY };
@@ -0,0 +1,29 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadCore } = require('./helpers/core');
+
+const { ETCore } = loadCore();
+const { buildMailto } = ETCore;
+
+test('short bodies are encoded in full', () => {
+  const { url, truncated } = buildMailto({ to: 'a@example.com', subject: 'Hi there', body: 'Line 1\nLine 2' });
+  assert.equal(url, 'mailto:a@example.com?subject=Hi%20there&body=Line%201%0D%0ALine%202');
+  assert.equal(truncated, false);
+});
+
+test('long bodies are shortened to fit, with a marker', () => {
+  const { url, truncated } = buildMailto({ to: 'a@example.com', body: 'x'.repeat(5000) }, { maxLength: 500 });
+  assert.equal(truncated, true);
+  assert.ok(url.length <= 500);
+  assert.ok(decodeURIComponent(url).endsWith('[…]'));
+});
+
+test('truncation never splits an emoji', () => {
+  const body = 'a'.repeat(50) + '😀'.repeat(3000);
+  for (const maxLength of [undefined, 200, 201, 202, 203]) {
+    const { url, truncated } = buildMailto({ to: 'a@example.com', body }, maxLength ? { maxLength } : undefined);
+    assert.equal(truncated, true);
+    const text = decodeURIComponent(url.split('body=')[1]);
+    assert.match(text, /^a{50}(😀)*\r\n\r\n\[…\]$/u);
+  }
+});
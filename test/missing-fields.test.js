@@ -0,0 +1,35 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadCore } = require('./helpers/core');
+
+const { ETCore } = loadCore();
+const { missingFields } = ETCore;
+
+test('lists each blank placeholder once, in order of appearance', () => {
+  assert.deepEqual(missingFields('{{b}} {{a}} {{b}} {{c}}', { c: 'x' }), ['b', 'a']);
+});
+
+test('whitespace-only values count as missing, 0 and false do not', () => {
+  assert.deepEqual(missingFields('{{a}} {{b}} {{c}}', { a: '  ', b: 0, c: false }), ['a']);
+});
+
+test('placeholders with a |default filter are never missing', () => {
+  assert.deepEqual(missingFields('{{name|default:"there"}} {{name}}', {}), ['name']);
+  assert.deepEqual(missingFields('{{name|trim|default:"there"}}', {}), []);
+});
+
+test('only the branch that will render is checked', () => {
+  const tpl = '{{#if company}}at {{company}} with {{contact}}{{else}}{{fallback}}{{/if}}';
+  assert.deepEqual(missingFields(tpl, { company: 'Acme' }), ['contact']);
+  assert.deepEqual(missingFields(tpl, {}), ['fallback']);
+});
+
+test('the #if condition itself is not required', () => {
+  assert.deepEqual(missingFields('{{#if ps}}P.S. {{ps}}{{/if}}', {}), []);
+});
+
+test('empty or non-string templates have nothing missing', () => {
+  assert.deepEqual(missingFields('', {}), []);
+  assert.deepEqual(missingFields(undefined, {}), []);
+  assert.deepEqual(missingFields('No placeholders here', {}), []);
+});
@@ -0,0 +1,74 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadCore } = require('./helpers/core');
+
+const { ETCore } = loadCore();
+const { render } = ETCore;
+
+test('whitespace inside braces and around filters is ignored', () => {
+  assert.equal(render('Hi {{first_name}}, {{  first_name  }}!', { first_name: 'Ann' }), 'Hi Ann, Ann!');
+  assert.equal(render('{{ name | trim | capitalize }}', { name: '  bob ' }), 'Bob');
+  assert.equal(render('{{ #if  name }}yes{{ else }}no{{ /if }}', { name: 'x' }), 'yes');
+});
+
+test('missing, null and undefined values render as empty text', () => {
+  assert.equal(render('[{{missing}}|{{nul}}|{{undef}}]', { nul: null, undef: undefined }), '[||]');
+  assert.equal(render('Hi {{name}}', undefined), 'Hi ');
+});
+
+test('falsy values that are not blank still render', () => {
+  assert.equal(render('{{n}} items', { n: 0 }), '0 items');
+  assert.equal(render('{{flag}}', { flag: false }), 'false');
+  assert.equal(render('{{#if n}}some{{else}}none{{/if}}', { n: 0 }), 'some');
+  assert.equal(render('{{n|default:"none"}}', { n: 0 }), '0');
+});
+
+test('blank values fall back to |default and take the {{else}} branch', () => {
+  assert.equal(render('Hi {{name|default:"there"}}', { name: '   ' }), 'Hi there');
+  assert.equal(render("Hi {{name|default:'there'}}", {}), 'Hi there');
+  assert.equal(render('{{#if name}}Hi {{name}}{{else}}Hello{{/if}}', { name: '' }), 'Hello');
+});
+
+test('unknown filters leave the value unchanged and raise a warning', () => {
+  const warnings = [];
+  const out = render('{{name|shout|capitalize}}', { name: 'ann' }, { onWarning: w => warnings.push(w) });
+  assert.equal(out, 'Ann');
+  assert.equal(warnings.length, 1);
+  assert.equal(warnings[0].code, 'unknown-filter');
+  assert.equal(warnings[0].filter, 'shout');
+  assert.equal(warnings[0].key, 'name');
+});
+
+test('date filters pass invalid dates through untouched', () => {
+  const data = { text: 'next week', rollover: '2026-02-30', month: '2026-13-01', number: '42' };
+  assert.equal(render('{{text|longdate}}', data), 'next week');
+  assert.equal(render('{{rollover|longdate}}', data), '2026-02-30');
+  assert.equal(render('{{month|shortdate}}', data), '2026-13-01');
+  assert.equal(render('{{number|longdate}}', data), '42');
+  assert.equal(render('{{text|date:"YYYY-MM-DD"}}', data), 'next week');
+  assert.equal(render('{{missing|longdate}}', data), '');
+});
+
+test('date filters format valid dates', () => {
+  assert.equal(render('{{d|date:"YYYY-MM-DD"}}', { d: '2026-02-28' }), '2026-02-28');
+  assert.equal(render('{{d|date:"D/M/YY [at noon]"}}', { d: '2026-03-05' }), '5/3/26 at noon');
+});
+
+test('stray and unbalanced tags are kept as text, not dropped', () => {
+  assert.equal(render('a {{else}} b {{/if}} c', {}), 'a {{else}} b {{/if}} c');
+  assert.equal(render('{{#if x}}open', { x: 'y' }), 'open');
+  assert.equal(render('{ {x} } {{x}', { x: 'X' }), '{ {x} } {{x}');
+});
+
+test('nested #if blocks follow each condition', () => {
+  const tpl = '{{#if a}}A{{#if b}}B{{else}}-{{/if}}{{/if}}';
+  assert.equal(render(tpl, { a: 1, b: 1 }), 'AB');
+  assert.equal(render(tpl, { a: 1 }), 'A-');
+  assert.equal(render(tpl, {}), '');
+});
+
+test('non-string templates render as empty text', () => {
+  assert.equal(render('', {}), '');
+  assert.equal(render(null, {}), '');
+  assert.equal(render(42, {}), '');
+});
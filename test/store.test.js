@@ -0,0 +1,339 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadCore, MemoryStorage, STORAGE_KEY } = require('./helpers/core');
+
+const saved = storage => JSON.parse(storage.getItem(STORAGE_KEY));
+
+// An ETCore over an empty, already-seeded library
+function emptyLibrary() {
+  return loadCore({
+    store: { version: 2, revision: 0, folders: [], templates: [], fields: [], contacts: [], usage: [], trash: [], settings: { sampleSeeded: true } }
+  });
+}
+
+test('the sample template is seeded on first run only', () => {
+  const storage = new MemoryStorage();
+  const first = loadCore({ storage }).ETCore;
+  const templates = first.listTemplates();
+  assert.equal(templates.length, 1);
+  assert.match(templates[0].name, /^Sample/);
+  assert.equal(saved(storage).settings.sampleSeeded, true);
+
+  first.deleteTemplate(templates[0].id);
+  const again = loadCore({ storage }).ETCore;
+  assert.deepEqual(again.listTemplates(), []);
+});
+
+test('an existing library is marked seeded without adding the sample', () => {
+  const { ETCore, storage } = loadCore({
+    store: { version: 1, templates: [{ id: 't1', name: 'Mine', content: 'Hi', folderId: null }] }
+  });
+  assert.deepEqual(ETCore.listTemplates().map(t => t.name), ['Mine']);
+  assert.equal(saved(storage).settings.sampleSeeded, true);
+});
+
+test('templates can be created, read, updated and deleted', () => {
+  const { ETCore } = emptyLibrary();
+  const t = ETCore.createTemplate({ name: '  Intro ', subject: 'Hi {{first_name}}', content: 'Body', tags: 'Sales, sales' });
+  assert.equal(ETCore.getTemplate(t.id).name, 'Intro');
+  assert.deepEqual(ETCore.getTemplate(t.id).tags, ['Sales']);
+
+  assert.equal(ETCore.updateTemplate(t.id, { content: 'New body' }), true);
+  assert.equal(ETCore.getTemplate(t.id).content, 'New body');
+  assert.deepEqual(ETCore.listRevisions(t.id).map(r => r.content), ['Body']);
+
+  assert.ok(ETCore.deleteTemplate(t.id));
+  assert.equal(ETCore.getTemplate(t.id), null);
+  assert.equal(ETCore.listTrash().length, 1);
+  assert.equal(ETCore.updateTemplate('nope', { name: 'x' }), false);
+});
+
+// Parent > Child, with one template in each
+function nestedFolders(ETCore) {
+  const parent = ETCore.createFolder('Parent');
+  const child = ETCore.createFolder('Child', parent.id);
+  const inParent = ETCore.createTemplate({ name: 'In parent', content: 'a', folderId: parent.id });
+  const inChild = ETCore.createTemplate({ name: 'In child', content: 'b', folderId: child.id });
+  return { parent, child, inParent, inChild };
+}
+
+test('deleting a folder in keep mode keeps its templates and lifts subfolders', () => {
+  const { ETCore } = emptyLibrary();
+  const { parent, child, inParent, inChild } = nestedFolders(ETCore);
+
+  assert.ok(ETCore.deleteFolder(parent.id));
+  assert.deepEqual(ETCore.listFolders().map(f => [f.id, f.parentId]), [[child.id, null]]);
+  assert.equal(ETCore.getTemplate(inParent.id).folderId, null);
+  assert.equal(ETCore.getTemplate(inChild.id).folderId, child.id);
+});
+
+test('deleting a folder with deleteTemplates moves its templates to the trash', () => {
+  const { ETCore } = emptyLibrary();
+  const { parent, child, inParent, inChild } = nestedFolders(ETCore);
+
+  ETCore.deleteFolder(parent.id, 'deleteTemplates');
+  assert.equal(ETCore.getTemplate(inParent.id), null);
+  assert.equal(ETCore.getTemplate(inChild.id).folderId, child.id);
+  const [entry] = ETCore.listTrash();
+  assert.equal(entry.kind, 'folder');
+  assert.deepEqual(entry.templates.map(t => t.id), [inParent.id]);
+});
+
+test('cascading a folder delete takes its subfolders (and their templates) too', () => {
+  const { ETCore } = emptyLibrary();
+  const { parent, inParent, inChild } = nestedFolders(ETCore);
+
+  ETCore.deleteFolder(parent.id, 'deleteTemplates', { subfolders: 'cascade' });
+  assert.deepEqual(ETCore.listFolders(), []);
+  assert.deepEqual(ETCore.listTemplates(), []);
+
+  const [entry] = ETCore.listTrash();
+  assert.ok(ETCore.restoreFromTrash(entry.id));
+  assert.deepEqual(ETCore.listFolders().map(f => f.name).sort(), ['Child', 'Parent']);
+  assert.deepEqual(ETCore.listTemplates().map(t => t.id).sort(), [inChild.id, inParent.id].sort());
+});
+
+test('cascading in keep mode moves every nested template to No folder', () => {
+  const { ETCore } = emptyLibrary();
+  const { parent, inParent, inChild } = nestedFolders(ETCore);
+
+  ETCore.deleteFolder(parent.id, 'keep', { subfolders: 'cascade' });
+  assert.deepEqual(ETCore.listFolders(), []);
+  assert.equal(ETCore.getTemplate(inParent.id).folderId, null);
+  assert.equal(ETCore.getTemplate(inChild.id).folderId, null);
+});
+
+test('deleting a folder that does not exist returns false', () => {
+  const { ETCore } = emptyLibrary();
+  assert.equal(ETCore.deleteFolder('missing'), false);
+});
+
+test('recent templates come newest first, once each, narrowed by tag', () => {
+  const { ETCore } = emptyLibrary();
+  const tagged = ETCore.createTemplate({ name: 'Tagged', content: 'a', tags: 'Sales' });
+  const plain = ETCore.createTemplate({ name: 'Plain', content: 'b' });
+  ETCore.logUsage({ templateId: tagged.id, action: 'mailto' });
+  ETCore.logUsage({ templateId: plain.id, action: 'mailto' });
+  ETCore.logUsage({ templateId: tagged.id, action: 'copy-body' });
+  assert.deepEqual(ETCore.recentTemplates().map(t => t.name), ['Tagged', 'Plain']);
+  assert.deepEqual(ETCore.recentTemplates(1).map(t => t.name), ['Tagged']);
+  assert.deepEqual(ETCore.recentTemplates(5, { tags: ['sales'] }).map(t => t.name), ['Tagged']);
+});
+
+test('the usage log is bounded by size, dropping old HTML before old entries', () => {
+  const { ETCore } = emptyLibrary();
+  const t = ETCore.createTemplate({ name: 'Long', content: 'x' });
+  const text = 'x'.repeat(100000);
+  for (let i = 0; i < 12; i++) ETCore.logUsage({ templateId: t.id, action: 'eml', text, html: `<p>${text}</p>` });
+  const usage = ETCore.listUsage();
+  assert.ok(usage.length < 12);
+  assert.ok(JSON.stringify(usage).length <= 1000000);
+  assert.ok(usage[0].html);
+  assert.equal(usage[usage.length - 1].html, null);
+  assert.equal(usage[usage.length - 1].text, text);
+});
+
+test('readers hand out copies, and templates come without their revision history', () => {
+  const { ETCore } = emptyLibrary();
+  const t = ETCore.createTemplate({ name: 'Intro', content: 'v1' });
+  ETCore.updateTemplate(t.id, { content: 'v2' });
+  const copy = ETCore.getTemplate(t.id);
+  assert.equal('revisions' in copy, false);
+  copy.name = 'Changed';
+  ETCore.listFields().push({ key: 'stray' });
+  assert.equal(ETCore.getTemplate(t.id).name, 'Intro');
+  assert.deepEqual(ETCore.listFields(), []);
+  assert.deepEqual(ETCore.listRevisions(t.id).map(r => r.content), ['v1']);
+});
+
+test('saving a stale copy of the library is refused', () => {
+  const { ETCore } = emptyLibrary();
+  const stale = ETCore.getStore();
+  ETCore.createFolder('Newer');
+  assert.throws(() => ETCore.saveStore(stale), ETCore.StoreConflictError);
+  assert.deepEqual(ETCore.listFolders().map(f => f.name), ['Newer']);
+});
+
+test('older libraries are migrated and repaired on load, with a backup', async () => {
+  const original = {
+    version: 1,
+    folders: [{ id: 'f1', name: 'Sales' }],
+    templates: [
+      { id: 't1', name: 'Orphan', content: 12, folderId: 'deleted' },
+      { name: 'No id', content: 'x', folderId: 'f1' }
+    ],
+    settings: { sampleSeeded: true }
+  };
+  const { ETCore, storage } = loadCore({ store: original });
+  const { upgrade } = await ETCore.ready;
+
+  assert.equal(upgrade.fromVersion, 1);
+  assert.equal(upgrade.toVersion, ETCore.STORE_VERSION);
+  assert.equal(upgrade.backedUp, true);
+  assert.equal(saved(storage).version, ETCore.STORE_VERSION);
+
+  const orphan = ETCore.getTemplate('t1');
+  assert.equal(orphan.folderId, null);
+  assert.equal(orphan.content, '12');
+  assert.ok(ETCore.listTemplates().every(t => typeof t.id === 'string'));
+  assert.equal(ETCore.listFolders()[0].parentId, null);
+
+  const backup = await ETCore.getMigrationBackup();
+  assert.deepEqual(backup.store, original);
+  assert.equal(backup.repairs.length, upgrade.repairs.length);
+});
+
+test('an up-to-date library loads without an upgrade', async () => {
+  const { ETCore } = emptyLibrary();
+  const { upgrade } = await ETCore.ready;
+  assert.equal(upgrade, null);
+  assert.equal(await ETCore.getMigrationBackup(), null);
+});
+
+test('a full storage keeps the change in memory and reports it', () => {
+  const { ETCore, storage } = emptyLibrary();
+  const problems = [];
+  ETCore.onStorageError(p => problems.push(p));
+  const setItem = storage.setItem;
+  storage.setItem = (key, value) => {
+    if (key === STORAGE_KEY) throw Object.assign(new Error('full'), { name: 'QuotaExceededError' });
+    setItem.call(storage, key, value);
+  };
+
+  const folder = ETCore.createFolder('Unsaved');
+  assert.equal(problems.length, 1);
+  assert.equal(problems[0].quota, true);
+  assert.ok(ETCore.listFolders().some(f => f.id === folder.id));
+  assert.deepEqual(saved(storage).folders, []);
+
+  storage.setItem = setItem;
+  ETCore.createFolder('Saved');
+  assert.deepEqual(saved(storage).folders.map(f => f.name), ['Unsaved', 'Saved']);
+});
+
+test('field and contact updates refuse to overwrite a newer version', () => {
+  const { ETCore } = emptyLibrary();
+  ETCore.createField({ key: 'plan', label: 'Plan' });
+  const field = ETCore.getField('plan');
+  const contact = ETCore.createContact({ name: 'Ann', email: 'ann@example.com' });
+
+  // Saved meanwhile, e.g. from another tab
+  ETCore.updateField('plan', { label: 'Pricing plan' });
+  ETCore.updateContact(contact.id, { name: 'Ann B.' });
+
+  assert.throws(() => ETCore.updateField('plan', { label: 'Mine' }, { expected: field }), ETCore.StoreConflictError);
+  assert.throws(() => ETCore.updateContact(contact.id, { name: 'Mine' }, { expected: contact }), ETCore.StoreConflictError);
+  assert.equal(ETCore.getField('plan').label, 'Pricing plan');
+  assert.equal(ETCore.getContact(contact.id).name, 'Ann B.');
+
+  const latest = ETCore.getField('plan');
+  assert.equal(ETCore.updateField('plan', { label: 'Mine' }, { expected: latest }), true);
+  assert.equal(ETCore.getField('plan').label, 'Mine');
+});
+
+test('template updates refuse to overwrite an edit made after the editor loaded it', () => {
+  const { ETCore } = emptyLibrary();
+  const t = ETCore.createTemplate({ name: 'Intro', content: 'v1' });
+  const loaded = ETCore.getTemplate(t.id);
+  ETCore.setTemplatePinned(t.id, true);
+  assert.equal(ETCore.updateTemplate(t.id, { content: 'mine' }, { expected: loaded }), true);
+
+  const reloaded = ETCore.getTemplate(t.id);
+  ETCore.updateTemplate(t.id, { content: 'theirs' });
+  assert.throws(() => ETCore.updateTemplate(t.id, { content: 'mine again' }, { expected: reloaded }), ETCore.StoreConflictError);
+  assert.equal(ETCore.getTemplate(t.id).content, 'theirs');
+});
+
+test('an unreadable library is kept as a backup before a new one starts', async () => {
+  const storage = new MemoryStorage({ [STORAGE_KEY]: '{"templates": [ oops' });
+  const { ETCore } = loadCore({ storage });
+  const { upgrade } = await ETCore.ready;
+
+  assert.equal(upgrade.unreadable, true);
+  assert.equal(upgrade.backedUp, true);
+  const backup = await ETCore.getMigrationBackup();
+  assert.equal(backup.raw, '{"templates": [ oops');
+  assert.equal(backup.fromVersion, null);
+  // Started afresh (with the sample)
+  assert.equal(ETCore.listTemplates().length, 1);
+});
+
+test('an unreadable library that cannot be backed up is never overwritten', async () => {
+  const storage = new MemoryStorage({ [STORAGE_KEY]: 'not json' });
+  const setItem = storage.setItem;
+  storage.setItem = (key, value) => {
+    if (key.endsWith('.backup')) throw Object.assign(new Error('full'), { name: 'QuotaExceededError' });
+    setItem.call(storage, key, value);
+  };
+  const { ETCore } = loadCore({ storage });
+  const { upgrade } = await ETCore.ready;
+
+  assert.equal(upgrade.backedUp, false);
+  ETCore.createFolder('In memory only');
+  assert.equal(storage.getItem(STORAGE_KEY), 'not json');
+  assert.deepEqual(ETCore.listFolders().map(f => f.name), ['In memory only']);
+});
+
+test('a repair-only load is reported without a version change', async () => {
+  const { ETCore } = loadCore({
+    store: { version: 2, revision: 0, folders: [], templates: [{ id: 't1', name: 'T', content: 'x', folderId: 'gone' }], fields: [], contacts: [], usage: [], trash: [], settings: { sampleSeeded: true } }
+  });
+  const { upgrade } = await ETCore.ready;
+  assert.equal(upgrade.fromVersion, upgrade.toVersion);
+  assert.deepEqual(upgrade.migrations, []);
+  assert.equal(upgrade.repairs.length, 1);
+});
+
+test('imported templates keep only known, well-formed properties', () => {
+  const { ETCore } = emptyLibrary();
+  const { data } = ETCore.validateImport({
+    format: 'email-templates-library',
+    exportVersion: 1,
+    templates: [
+      { id: 't1', name: 'Odd', content: 'x', format: 'docx', pinned: 'yes', revisions: 'lots', tags: [], extra: 1 },
+      { id: 't2', name: 'Fine', content: 'y', format: 'html', pinned: true, tags: ['Sales', 3], revisions: [{ content: 'old' }, null] }
+    ]
+  });
+  const [odd, fine] = data.templates;
+  assert.equal(odd.format, 'text');
+  assert.equal('pinned' in odd || 'revisions' in odd || 'tags' in odd || 'extra' in odd, false);
+  assert.equal(fine.pinned, true);
+  assert.deepEqual(fine.tags, ['Sales']);
+  assert.equal(fine.revisions.length, 1);
+  assert.equal(fine.revisions[0].format, 'text');
+});
+
+test('the import preview follows the conflict choice, and keepBoth skips known fields', () => {
+  const { ETCore } = emptyLibrary();
+  const t = ETCore.createTemplate({ name: 'Mine', content: 'a' });
+  const { key } = ETCore.createField({ key: 'first_name', label: 'First name' });
+  const { data } = ETCore.validateImport({
+    format: 'email-templates-library',
+    exportVersion: 1,
+    templates: [{ id: t.id, name: 'Theirs', content: 'b' }],
+    fields: [{ key, label: 'Theirs' }]
+  });
+
+  const overwrite = ETCore.previewImport(data, { onConflict: 'overwrite' });
+  assert.deepEqual(overwrite.templates.overwritten, ['Theirs']);
+  assert.deepEqual(overwrite.fields.overwritten, [key]);
+
+  const keepBoth = ETCore.previewImport(data, { onConflict: 'keepBoth' });
+  assert.deepEqual(keepBoth.templates.copied, ['Theirs']);
+  assert.deepEqual(keepBoth.fields.skipped, [key]);
+  assert.deepEqual(ETCore.importLibrary(data, { onConflict: 'keepBoth' }), { folders: 0, templates: 1, fields: 0, contacts: 0 });
+  assert.equal(ETCore.listTemplates().length, 2);
+});
+
+test('merging tags is one save that renames every source tag', () => {
+  const { ETCore } = emptyLibrary();
+  const a = ETCore.createTemplate({ name: 'A', content: 'a', tags: 'CFO, finance' });
+  const b = ETCore.createTemplate({ name: 'B', content: 'b', tags: 'finance, German' });
+  const revision = ETCore.getStore().revision;
+  assert.equal(ETCore.mergeTags(['cfo', 'Finance'], 'Money'), 2);
+  assert.equal(ETCore.getStore().revision, revision + 1);
+  assert.deepEqual(ETCore.getTemplate(a.id).tags, ['Money']);
+  assert.deepEqual(ETCore.getTemplate(b.id).tags, ['Money', 'German']);
+  assert.equal(ETCore.mergeTags(['German'], '  '), false);
+  assert.deepEqual(ETCore.getTemplate(b.id).tags, ['Money', 'German']);
+});